@@ -9,6 +9,12 @@ elif [ -n "$CLOUDFLARE_QUICK_TUNNEL" ]; then
     cloudflared tunnel --no-autoupdate --url http://localhost:3000 &
 fi
 
+# Requests through the tunnel arrive from localhost; take client IPs (used
+# for login lockouts) from the tunnel's X-Forwarded-For instead
+if [ -n "$CLOUDFLARE_TUNNEL_TOKEN" ] || [ -n "$CLOUDFLARE_QUICK_TUNNEL" ]; then
+    export TRUST_PROXY="${TRUST_PROXY:-loopback}"
+fi
+
 # Start the Node.js application
 echo "Starting SimpleMovieSync..."
 exec node src/server.js
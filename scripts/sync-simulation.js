@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+
+// Simulates a room of viewers against the real SyncService and checks that
+// they converge. Every message gets a random network delay, so events arrive
+// late and out of order; every viewer has a skewed clock; viewers play, pause,
+// seek, change the speed and schedule countdown starts at random, sometimes at
+// the same moment. After a quiet period all viewers must be on the room's
+// state version, play/pause state, speed and position.
+//
+// The viewers use the watch page's sync code (src/public/js/playbackSync.js)
+// with a simulated player in place of the <video> element, and the server
+// handles their changes with SyncService.handleAction(), as server.js does.
+// Viewer.receive and Viewer.act follow the page's sync* socket handlers and
+// sendPlayback().
+//
+// Usage: node scripts/sync-simulation.js [runs] [seed]
+// Exits non-zero if any run fails to converge; `npm test` runs it.
+
+const assert = require('assert');
+const SyncService = require('../src/services/syncService');
+const PlaybackSync = require('../src/public/js/playbackSync');
+
+const ROOM_ID = 'room';
+const VIEWERS = 5;
+const ACTIVE_TIME = 120000; // ms of random play/pause/seek
+const SETTLE_TIME = 20000; // ms of quiet afterwards
+const TICK = 50; // ms
+const MIN_LATENCY = 20; // ms, one way
+const MAX_LATENCY = 400;
+const MAX_CLOCK_SKEW = 10000; // ms
+const ACTION_CHANCE = 0.01; // per viewer per tick
+const POSITION_TOLERANCE = 0.3; // seconds at 1x, after settling; clock errors grow with the speed
+
+const PLAYBACK_RATES = [0.5, 1, 1.25, 1.5, 2];
+
+// Simulated time; SyncService reads it through Date.now()
+let now = 0;
+Date.now = () => now;
+
+// Small seeded PRNG so a failing run can be replayed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class Network {
+  constructor(random) {
+    this.random = random;
+    this.queue = [];
+    this.order = 0;
+  }
+
+  // Deliver after a random one-way delay
+  send(fn) {
+    const delay = MIN_LATENCY + this.random() * (MAX_LATENCY - MIN_LATENCY);
+    this.queue.push({ at: now + delay, order: this.order++, fn });
+  }
+
+  deliverDue() {
+    const due = this.queue.filter(message => message.at <= now);
+    this.queue = this.queue.filter(message => message.at > now);
+    due.sort((a, b) => a.at - b.at || a.order - b.order).forEach(message => message.fn());
+  }
+}
+
+// A viewer's player and its sync logic, following src/views/watch.html
+class Viewer {
+  constructor(id, server, network, random) {
+    this.id = id;
+    this.server = server;
+    this.network = network;
+    this.random = random;
+    this.clockSkew = (random() * 2 - 1) * MAX_CLOCK_SKEW;
+    this.clockOffset = 0;
+    this.lastSeq = -1;
+    this.roomClock = null;
+    this.syncTolerance = 2;
+    this.player = { paused: true, time: 0, rate: 1, nudge: 1, startAt: null };
+
+    // What SyncService sees as the socket
+    this.socket = { id, emit: (event, data) => this.network.send(() => this.receive(event, data)) };
+  }
+
+  localNow() {
+    return now + this.clockSkew;
+  }
+
+  serverNow() {
+    return this.localNow() + this.clockOffset;
+  }
+
+  receive(event, state) {
+    switch (event) {
+      case 'clockPing':
+        this.network.send(() => this.server.sync.handleClockPong(this.id, {
+          serverTime: state.serverTime,
+          clientTime: this.localNow()
+        }));
+        break;
+      case 'clockSync':
+        this.clockOffset = state.offset;
+        break;
+      case 'roomState':
+      case 'syncState':
+        this.acceptState(state, true);
+        this.applyPlaybackState();
+        break;
+      case 'syncPlay':
+      case 'syncPause':
+      case 'syncSeek':
+        if (this.acceptState(state)) {
+          this.applyPlaybackState();
+        }
+        break;
+      case 'syncRate':
+        if (this.acceptState(state)) {
+          this.player.rate = this.roomClock.playbackRate;
+        }
+        break;
+      case 'syncAck':
+        this.acceptState(state);
+        break;
+      case 'syncHeartbeat': {
+        const action = PlaybackSync.heartbeatAction(state, {
+          lastSeq: this.lastSeq,
+          paused: this.player.paused,
+          position: this.player.time,
+          tolerance: this.syncTolerance
+        });
+        if (action === 'ignore') break;
+
+        this.acceptState(state);
+        if (action === 'apply') {
+          this.applyPlaybackState();
+        } else if (action === 'seek') {
+          this.player.time = state.currentTime;
+        } else {
+          this.correctDrift();
+        }
+        break;
+      }
+    }
+  }
+
+  acceptState(state, force) {
+    if (!force && !PlaybackSync.isCurrent(state, this.lastSeq)) return false;
+
+    this.lastSeq = state.seq;
+    if (state.syncTolerance) {
+      this.syncTolerance = state.syncTolerance;
+    }
+    this.setRoomClock(state);
+    return true;
+  }
+
+  setRoomClock(state) {
+    this.roomClock = PlaybackSync.createRoomClock(state);
+  }
+
+  applyPlaybackState() {
+    const target = PlaybackSync.targetState(this.roomClock, this.serverNow());
+    this.player.rate = this.roomClock.playbackRate;
+    this.player.time = target.position;
+    this.player.paused = !target.playing;
+    this.player.startAt = target.startAt;
+  }
+
+  correctDrift() {
+    const clock = this.roomClock;
+    if (!clock) return;
+
+    this.player.rate = clock.playbackRate;
+    if (!clock.isPlaying || this.player.paused) {
+      this.player.nudge = 1;
+      return;
+    }
+
+    const expectedTime = PlaybackSync.roomPosition(clock, this.serverNow());
+    const correction = PlaybackSync.driftCorrection(this.player.time - expectedTime, this.syncTolerance);
+    this.player.nudge = correction.rateFactor;
+    if (correction.seek) {
+      this.player.time = expectedTime;
+    }
+  }
+
+  // The viewer clicks play, pause or the seek bar, picks a speed or starts
+  // a countdown
+  act() {
+    if (!this.roomClock) return null; // not in the room yet
+
+    const choice = this.random();
+    const change = {};
+    let action;
+    if (choice < 0.35) {
+      action = 'seek';
+      this.player.time = this.random() * 3600;
+    } else if (choice < 0.5) {
+      action = 'rate';
+      change.playbackRate = PLAYBACK_RATES[Math.floor(this.random() * PLAYBACK_RATES.length)];
+      this.player.rate = change.playbackRate;
+    } else if (choice < 0.6) {
+      action = 'schedule';
+      change.delay = 1 + Math.floor(this.random() * 10);
+    } else {
+      action = this.player.paused ? 'play' : 'pause';
+      this.player.paused = !this.player.paused;
+      this.player.startAt = null;
+    }
+
+    const message = { action, change: { ...change, currentTime: this.player.time }, seq: this.lastSeq };
+    this.network.send(() => this.server.handleAction(this, message));
+
+    this.lastSeq += 1;
+    if (action !== 'schedule') {
+      this.setRoomClock({
+        isPlaying: !this.player.paused,
+        currentTime: this.player.time,
+        serverTime: this.serverNow(),
+        playbackRate: change.playbackRate || this.roomClock.playbackRate,
+        startAt: this.roomClock.startAt
+      });
+    }
+    return action;
+  }
+
+  advance(ms) {
+    if (this.player.startAt && this.serverNow() >= this.player.startAt) {
+      this.player.startAt = null;
+      this.player.paused = false;
+    }
+    if (!this.player.paused) {
+      this.player.time += this.player.rate * this.player.nudge * ms / 1000;
+    }
+  }
+}
+
+// The room's sockets, as server.js handles them
+class Server {
+  constructor(network) {
+    this.network = network;
+    this.viewers = [];
+    this.rejected = 0;
+
+    // Just enough of Socket.IO for one room
+    const broadcast = (viewers, event, data) => viewers.forEach(viewer => viewer.socket.emit(event, data));
+    const io = {
+      to: () => ({
+        emit: (event, data) => broadcast(this.viewers, event, data),
+        except: id => ({ emit: (event, data) => broadcast(this.viewers.filter(viewer => viewer.id !== id), event, data) })
+      })
+    };
+    this.sync = new SyncService(io);
+    this.sync.stopSyncBroadcasts();
+    this.sync.createRoom(ROOM_ID, {});
+  }
+
+  join(viewer) {
+    this.viewers.push(viewer);
+    this.sync.addClient(viewer.socket);
+    viewer.socket.emit('roomState', this.sync.getPlaybackState(ROOM_ID));
+  }
+
+  handleAction(sender, { action, change, seq }) {
+    if (!this.sync.handleAction(ROOM_ID, action, change, sender.socket, seq)) {
+      this.rejected++;
+    }
+  }
+}
+
+function simulate(seed) {
+  now = 0;
+  const random = createRandom(seed);
+  const network = new Network(random);
+  const server = new Server(network);
+  const viewers = [];
+
+  for (let i = 0; i < VIEWERS; i++) {
+    const viewer = new Viewer(`viewer-${i}`, server, network, random);
+    viewers.push(viewer);
+    server.join(viewer);
+  }
+
+  let actions = 0;
+  while (now < ACTIVE_TIME + SETTLE_TIME) {
+    now += TICK;
+    viewers.forEach(viewer => viewer.advance(TICK));
+    network.deliverDue();
+
+    if (now < ACTIVE_TIME) {
+      viewers.forEach((viewer) => {
+        if (random() < ACTION_CHANCE && viewer.act()) {
+          actions++;
+        }
+      });
+    }
+
+    if (now % 1000 === 0) viewers.forEach(viewer => viewer.correctDrift());
+    if (now % 5000 === 0) server.sync.broadcastHeartbeats();
+    if (now % 15000 === 0) server.sync.pingClients();
+  }
+
+  const room = server.sync.getPlaybackState(ROOM_ID);
+  let maxDrift = 0;
+  for (const viewer of viewers) {
+    const drift = Math.abs(viewer.player.time - room.currentTime);
+    maxDrift = Math.max(maxDrift, drift);
+
+    assert.strictEqual(viewer.lastSeq, room.seq, `${viewer.id} is on version ${viewer.lastSeq}, room is on ${room.seq}`);
+    assert.strictEqual(viewer.player.paused, !room.isPlaying, `${viewer.id} disagrees on play/pause`);
+    assert.strictEqual(viewer.player.rate, room.playbackRate, `${viewer.id} plays at ${viewer.player.rate}x, room at ${room.playbackRate}x`);
+    assert.ok(drift < POSITION_TOLERANCE * room.playbackRate, `${viewer.id} is ${drift.toFixed(3)}s away from the room`);
+  }
+
+  return { actions, rejected: server.rejected, seq: room.seq, maxDrift };
+}
+
+const runs = parseInt(process.argv[2], 10) || 20;
+const firstSeed = parseInt(process.argv[3], 10) || 1;
+let failures = 0;
+
+for (let seed = firstSeed; seed < firstSeed + runs; seed++) {
+  try {
+    const result = simulate(seed);
+    console.log(`seed ${seed}: ${result.actions} actions, ${result.rejected} rejected as stale, ` +
+      `version ${result.seq}, max drift ${result.maxDrift.toFixed(3)}s`);
+  } catch (error) {
+    failures++;
+    console.error(`seed ${seed}: FAILED - ${error.message.split('\n')[0]}`);
+  }
+}
+
+console.log(failures ? `${failures} of ${runs} runs failed` : `All ${runs} runs converged`);
+process.exit(failures ? 1 : 0);
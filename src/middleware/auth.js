@@ -1,6 +1,6 @@
 const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
+const { parseCookies } = require('./cookies');
 
 // Parse htpasswd file
 function parseHtpasswd(filePath) {
@@ -23,18 +23,29 @@ function parseHtpasswd(filePath) {
   return users;
 }
 
-// Verify password against various hash formats
-function verifyPassword(password, hash) {
-  // Plain text (not recommended but supported)
-  if (!hash.startsWith('{') && !hash.startsWith('$')) {
-    return password === hash;
+// Compare two strings in constant time. Both sides are hashed first so
+// neither their contents nor their lengths leak through timing.
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function isPlaintext(hash) {
+  return !hash.startsWith('{') && !hash.startsWith('$');
+}
+
+// Verify password against various hash formats. Plaintext entries only
+// match with options.allowPlaintext.
+function verifyPassword(password, hash, options = {}) {
+  if (isPlaintext(hash)) {
+    return Boolean(options.allowPlaintext) && safeEqual(password, hash);
   }
 
   // SHA1 format {SHA}
   if (hash.startsWith('{SHA}')) {
     const base64Hash = hash.substring(5);
     const sha1 = crypto.createHash('sha1').update(password).digest('base64');
-    return sha1 === base64Hash;
+    return safeEqual(sha1, base64Hash);
   }
 
   // APR1/MD5 format $apr1$
@@ -58,7 +69,7 @@ function verifyApr1(password, hash) {
 
   const salt = parts[2];
   const generated = apr1Crypt(password, salt);
-  return generated === hash;
+  return safeEqual(generated, hash);
 }
 
 // APR1 MD5 implementation
@@ -134,48 +145,189 @@ function apr1Crypt(password, salt) {
   return result;
 }
 
-// Create basic auth middleware
-function basicAuth(htpasswdPath) {
-  const usersFile = htpasswdPath || path.join(__dirname, '../../.htpasswd');
+// The htpasswd users, cached and reloaded when the file changes
+function createHtpasswdStore(filePath, options = {}) {
+  let users = new Map();
+
+  function load() {
+    try {
+      users = parseHtpasswd(filePath);
+    } catch (error) {
+      console.error(`Failed to read ${filePath}, keeping the previous users:`, error.message);
+      return;
+    }
+
+    const plaintext = Array.from(users).filter(([, hash]) => isPlaintext(hash)).map(([username]) => username);
+    if (plaintext.length && !options.allowPlaintext) {
+      console.warn(`Ignoring plaintext passwords in ${filePath} for: ${plaintext.join(', ')}. Re-add them with scripts/add-user.js`);
+    }
+  }
+
+  load();
+  // Polling also notices the file being created, or replaced by an editor
+  fs.watchFile(filePath, { interval: 2000, persistent: false }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+      console.log(`${filePath} changed, reloading admin users`);
+      load();
+    }
+  });
+
+  return {
+    get size() {
+      return users.size;
+    },
+
+    has(username) {
+      return users.has(username);
+    },
+
+    verify(username, password) {
+      const hash = users.get(username);
+      return Boolean(hash) && typeof password === 'string' &&
+        verifyPassword(password, hash, { allowPlaintext: options.allowPlaintext });
+    },
+
+    close() {
+      fs.unwatchFile(filePath);
+    }
+  };
+}
+
+// Browsers always send Origin (or at least Referer) with cross-site POST,
+// PUT and DELETE requests, so a foreign origin means someone else's page is
+// replaying cached Basic credentials. Clients like curl send neither.
+function isCrossSite(req) {
+  const source = req.headers.origin || req.headers.referer;
+  if (!source) return false;
+
+  try {
+    return new URL(source).host !== req.headers.host;
+  } catch (error) {
+    return true;
+  }
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const ADMIN_COOKIE = 'movie_sync_admin';
+
+// Admin authentication middleware. Accepts an admin session cookie (from the
+// login form; changes need the session's CSRF token in X-CSRF-Token) or HTTP
+// Basic credentials (changes must not come from another site).
+//
+// options:
+//   requireAuth - without any users, refuse every request (default) instead
+//                 of letting everyone in
+//   loginMode   - 'basic' asks the browser for credentials, 'session' sends
+//                 pages to the /admin/login form instead
+//   limiter     - LoginLimiter for failed Basic logins
+//   sessions    - AdminSessionService for the login form
+function basicAuth(store, options = {}) {
+  const { requireAuth = true, loginMode = 'basic', limiter, sessions } = options;
+  let warned = false;
+
+  function unauthorized(req, res, message) {
+    if (loginMode === 'session') {
+      if (req.method === 'GET' && !req.originalUrl.startsWith('/api/') && req.accepts('html')) {
+        return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({ error: message });
+    }
+
+    res.setHeader('WWW-Authenticate', 'Basic realm="Admin Area"');
+    return res.status(401).send(message);
+  }
+
+  // The admin session behind the request's cookie, if any
+  function getSession(req) {
+    const token = sessions ? parseCookies(req.headers.cookie)[ADMIN_COOKIE] : null;
+    const session = token ? sessions.get(token) : null;
+    return session && store.has(session.username) ? session : null;
+  }
+
+  // { username, password } from a Basic Authorization header; null without
+  // one, and an empty username if it can't be decoded
+  function getCredentials(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Basic ')) return null;
 
-  return (req, res, next) => {
-    // Check if htpasswd file exists
-    if (!fs.existsSync(usersFile)) {
-      console.warn('No .htpasswd file found. Admin access is unrestricted.');
+    // The password may itself contain colons
+    const credentials = Buffer.from(authHeader.split(' ')[1] || '', 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    if (separator === -1) return { username: '', password: '' };
+    return { username: credentials.substring(0, separator), password: credentials.substring(separator + 1) };
+  }
+
+  const middleware = (req, res, next) => {
+    if (store.size === 0) {
+      if (requireAuth) {
+        return res.status(503).send('Admin authentication is not configured. Add a user with scripts/add-user.js');
+      }
+      if (!warned) {
+        console.warn('No admin users and REQUIRE_ADMIN_AUTH=false. Admin access is unrestricted.');
+        warned = true;
+      }
       return next();
     }
 
-    const users = parseHtpasswd(usersFile);
+    const isChange = !SAFE_METHODS.includes(req.method);
 
-    if (users.size === 0) {
-      console.warn('Empty .htpasswd file. Admin access is unrestricted.');
+    // Session cookie from the login form
+    const session = getSession(req);
+    if (session) {
+      if (isChange && !safeEqual(req.headers['x-csrf-token'] || '', session.csrfToken)) {
+        return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+      }
+      req.user = { username: session.username };
+      req.adminSession = session;
       return next();
     }
 
     // Check for Authorization header
-    const authHeader = req.headers.authorization;
+    const credentials = getCredentials(req);
+    if (!credentials) {
+      return unauthorized(req, res, 'Authentication required');
+    }
 
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-      res.setHeader('WWW-Authenticate', 'Basic realm="Admin Area"');
-      return res.status(401).send('Authentication required');
+    const retryAfter = limiter ? limiter.getLockout(req.ip) : 0;
+    if (retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).send(`Too many failed logins. Try again in ${retryAfter} seconds`);
     }
 
-    // Decode credentials
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('utf8');
-    const [username, password] = credentials.split(':');
+    const { username, password } = credentials;
+    if (!username || !store.verify(username, password)) {
+      if (limiter) limiter.recordFailure(req.ip);
+      return unauthorized(req, res, 'Invalid credentials');
+    }
+    if (limiter) limiter.recordSuccess(req.ip);
 
-    // Verify credentials
-    const storedHash = users.get(username);
-    if (!storedHash || !verifyPassword(password, storedHash)) {
-      res.setHeader('WWW-Authenticate', 'Basic realm="Admin Area"');
-      return res.status(401).send('Invalid credentials');
+    if (isChange && isCrossSite(req)) {
+      return res.status(403).send('Cross-site request blocked');
     }
 
     // Authentication successful
     req.user = { username };
     next();
   };
+
+  // Whether a request outside Express (the Socket.IO handshake) comes from an
+  // admin, by the same cookie or Basic credentials. ip is the client's
+  // address for the limiter.
+  middleware.isAdmin = (req, ip) => {
+    if (store.size === 0) return !requireAuth;
+    if (getSession(req)) return true;
+
+    const credentials = getCredentials(req);
+    if (!credentials || (limiter && limiter.getLockout(ip))) return false;
+    if (!credentials.username || !store.verify(credentials.username, credentials.password)) {
+      if (limiter) limiter.recordFailure(ip);
+      return false;
+    }
+    if (limiter) limiter.recordSuccess(ip);
+    return true;
+  };
+
+  return middleware;
 }
 
-module.exports = { basicAuth, parseHtpasswd, verifyPassword };
+module.exports = { basicAuth, createHtpasswdStore, parseHtpasswd, verifyPassword, safeEqual, ADMIN_COOKIE };
@@ -0,0 +1,22 @@
+// Parse a Cookie header into a { name: value } object
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+}
+
+module.exports = { parseCookies };
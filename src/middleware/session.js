@@ -0,0 +1,33 @@
+const { SESSION_LIFETIME } = require('../services/accountService');
+const { parseCookies } = require('./cookies');
+
+const SESSION_COOKIE = 'movie_sync_session';
+
+function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// Sets req.account (or null) from the session cookie
+function sessionMiddleware(accountService) {
+  return (req, res, next) => {
+    req.sessionToken = getSessionToken(req);
+    req.account = accountService.getSessionAccount(req.sessionToken);
+    next();
+  };
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_LIFETIME,
+    path: '/'
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = { getSessionToken, sessionMiddleware, setSessionCookie, clearSessionCookie };
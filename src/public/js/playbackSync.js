@@ -0,0 +1,82 @@
+// Playback sync maths for players: where the room is, what the player should
+// do to be there, and how to correct drift. The watch page loads this as
+// window.PlaybackSync; scripts/sync-simulation.js requires it, so the
+// simulation runs the same code players do.
+(function (exports) {
+  const DRIFT_DEADBAND = 0.1; // seconds of drift that are left alone
+  const MAX_RATE_NUDGE = 0.1; // play at most 10% faster or slower to catch up
+
+  // The parts of a playback state from the server a player keeps
+  function createRoomClock(state) {
+    return {
+      isPlaying: state.isPlaying,
+      currentTime: state.currentTime,
+      serverTime: state.serverTime,
+      playbackRate: state.playbackRate || 1,
+      startAt: state.startAt || null
+    };
+  }
+
+  // Every playback state carries a sequence number; anything older than what
+  // the player already applied arrived late
+  function isCurrent(state, lastSeq) {
+    return state.seq >= lastSeq;
+  }
+
+  // Where the room is at serverNow (ms on the server's clock)
+  function roomPosition(clock, serverNow) {
+    if (!clock.isPlaying) return clock.currentTime;
+
+    const since = Math.max(clock.serverTime, clock.startAt || 0);
+    return clock.currentTime + Math.max(0, serverNow - since) / 1000 * clock.playbackRate;
+  }
+
+  // Where the player should be and whether it should play. A scheduled start
+  // that hasn't begun waits at its start position until startAt.
+  function targetState(clock, serverNow) {
+    if (clock.isPlaying && clock.startAt > serverNow) {
+      return { position: clock.currentTime, playing: false, startAt: clock.startAt };
+    }
+    return { position: roomPosition(clock, serverNow), playing: clock.isPlaying, startAt: null };
+  }
+
+  // drift is the player's position minus the room's, in seconds. Only drift
+  // beyond the room's tolerance is worth a visible seek; smaller drift is
+  // corrected by playing slightly faster or slower (rateFactor times the
+  // room's speed).
+  function driftCorrection(drift, tolerance) {
+    if (Math.abs(drift) > tolerance) {
+      return { seek: true, rateFactor: 1 };
+    }
+    if (Math.abs(drift) > DRIFT_DEADBAND) {
+      // Ahead -> slow down, behind -> speed up, harder the further off we are
+      return { seek: false, rateFactor: 1 - Math.max(-MAX_RATE_NUDGE, Math.min(MAX_RATE_NUDGE, drift / 2)) };
+    }
+    return { seek: false, rateFactor: 1 };
+  }
+
+  // What a heartbeat calls for, given the player's seq, whether it is paused
+  // and its position:
+  //   'ignore'  - older than the state we have
+  //   'apply'   - we missed a change, or are playing while the room isn't (or
+  //               the other way round)
+  //   'seek'    - paused like the room but somewhere else
+  //   'correct' - the usual drift check
+  function heartbeatAction(state, { lastSeq, paused, position, tolerance }) {
+    if (!isCurrent(state, lastSeq)) return 'ignore';
+    if (state.seq > lastSeq || (state.isPlaying === paused && !state.startAt)) return 'apply';
+    if (!state.isPlaying && Math.abs(position - state.currentTime) > tolerance) return 'seek';
+    return 'correct';
+  }
+
+  Object.assign(exports, {
+    DRIFT_DEADBAND,
+    MAX_RATE_NUDGE,
+    createRoomClock,
+    isCurrent,
+    roomPosition,
+    targetState,
+    driftCorrection,
+    heartbeatAction
+  });
+})(typeof module === 'object' && module.exports ? module.exports : (window.PlaybackSync = {}));
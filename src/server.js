@@ -2,18 +2,67 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const fs = require('fs');
 const cors = require('cors');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const TranscodeService = require('./services/transcodeService');
 const SyncService = require('./services/syncService');
-const { basicAuth } = require('./middleware/auth');
-
-// Admin authentication middleware
+const { createStorage } = require('./services/storageService');
+const LibraryService = require('./services/libraryService');
+const TranscodeQueue = require('./services/transcodeQueue');
+const { PresetService } = require('./services/presetService');
+const { RoleService, CONTROL_MODES } = require('./services/roleService');
+const { PlaylistService } = require('./services/playlistService');
+const { RoomAccessService } = require('./services/roomAccessService');
+const MediaTokenService = require('./services/mediaTokenService');
+const { loadSecret } = require('./services/secretService');
+const { AccountService, normalizeUsername } = require('./services/accountService');
+const { ModerationService } = require('./services/moderationService');
+const { TimelineService } = require('./services/timelineService');
+const { ChatService } = require('./services/chatService');
+const { ReactionService, IMAGE_TYPES } = require('./services/reactionService');
+const { VoiceService, parseIceServers } = require('./services/voiceService');
+const LoginLimiter = require('./services/loginLimiter');
+const { AdminSessionService, SESSION_LIFETIME: ADMIN_SESSION_LIFETIME } = require('./services/adminSessionService');
+const { basicAuth, createHtpasswdStore, ADMIN_COOKIE } = require('./middleware/auth');
+const { parseCookies } = require('./middleware/cookies');
+const { sessionMiddleware, getSessionToken, setSessionCookie, clearSessionCookie } = require('./middleware/session');
+
+// Admin authentication: htpasswd users (reloaded when the file changes),
+// per-IP lockout after failed logins and an optional login form
 const htpasswdPath = process.env.HTPASSWD_PATH || path.join(__dirname, '../.htpasswd');
-const adminAuth = basicAuth(htpasswdPath);
+const adminUsers = createHtpasswdStore(htpasswdPath, {
+  allowPlaintext: process.env.ALLOW_PLAINTEXT_PASSWORDS === 'true'
+});
+const adminLoginLimiter = new LoginLimiter();
+const adminSessions = new AdminSessionService();
+const adminLoginMode = process.env.ADMIN_LOGIN === 'session' ? 'session' : 'basic';
+const adminAuth = basicAuth(adminUsers, {
+  requireAuth: process.env.REQUIRE_ADMIN_AUTH !== 'false',
+  loginMode: adminLoginMode,
+  limiter: adminLoginLimiter,
+  sessions: adminSessions
+});
+const accountLoginLimiter = new LoginLimiter();
+// Every registration counts, successful or not: each one costs a bcrypt
+// hash, and failures tell which usernames are taken
+const accountRegisterLimiter = new LoginLimiter();
+// Wrong room passwords, per client IP across all rooms. A right password
+// doesn't clear the count: knowing one room's password mustn't reset the
+// guesses at another's.
+const roomPasswordLimiter = new LoginLimiter();
+
+if (adminUsers.size === 0 && process.env.REQUIRE_ADMIN_AUTH !== 'false') {
+  console.warn('No admin users. The admin panel is locked until one is added with scripts/add-user.js');
+}
 
 const app = express();
+// Behind a reverse proxy, client IPs (for login lockouts) come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (Number(trustProxy) || trustProxy));
+}
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
@@ -26,8 +75,9 @@ const io = new Server(server, {
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/transcoded', express.static(path.join(__dirname, '../transcoded')));
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+app.use('/vendor/hls', express.static(path.dirname(require.resolve('hls.js/dist/hls.min.js'))));
+// Transcoded media is served from /media with a signed token (see below);
+// uploads are never served
 
 // Multer configuration for file uploads
 const storage = multer.diskStorage({
@@ -55,19 +105,261 @@ const upload = multer({
   }
 });
 
+const subtitleUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.match(/\.(srt|ass|ssa|vtt)$/i)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .srt, .ass, .ssa and .vtt subtitles are allowed.'));
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+// Custom reactions are small images; SVG isn't accepted since it can carry scripts
+const reactionUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (IMAGE_TYPES[extension] && IMAGE_TYPES[extension] === file.mimetype) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PNG, GIF, WebP and JPEG images are allowed.'));
+    }
+  },
+  limits: {
+    fileSize: 512 * 1024 // 512KB limit
+  }
+});
+
 // Initialize services
-const transcodeService = new TranscodeService(path.join(__dirname, '../transcoded'));
+const presetService = new PresetService(process.env.PRESETS_PATH || path.join(__dirname, '../config/presets.json'));
+const transcodeService = new TranscodeService(path.join(__dirname, '../transcoded'), {
+  presets: presetService,
+  segmentType: process.env.HLS_SEGMENT_TYPE,
+  segmentDuration: parseInt(process.env.HLS_SEGMENT_DURATION, 10) || undefined,
+  keepMp4: process.env.KEEP_MP4 !== 'false',
+  thumbnailInterval: parseFloat(process.env.THUMBNAIL_INTERVAL) || undefined
+});
 const syncService = new SyncService(io);
+const roleService = new RoleService();
+const moderation = new ModerationService({
+  wordFilterPath: process.env.WORD_FILTER_PATH || path.join(__dirname, '../config/word-filter.txt')
+});
+const chat = new ChatService({ filterText: text => moderation.filterText(text) });
+// Chat and reactions per movie, for the seek bar heatmap and comment replay
+const timelines = new TimelineService();
+// Voice and camera chat; STUN/TURN servers are passed on to the players
+const voice = new VoiceService({
+  maxParticipants: parseInt(process.env.VOICE_MAX_PARTICIPANTS, 10) || undefined,
+  iceServers: parseIceServers(process.env)
+});
+const libraryService = new LibraryService(process.env.VIDEOS_DIR || path.join(__dirname, '../videos'));
 
 // Store for rooms and movies
 const rooms = new Map();
 const movies = new Map();
+const playlistService = new PlaylistService(movies);
+
+// Transcode job queue
+const transcodeQueue = new TranscodeQueue(transcodeService, movies, {
+  concurrency: parseInt(process.env.TRANSCODE_CONCURRENCY, 10) || 1
+});
+
+transcodeQueue.on('jobUpdated', (job) => {
+  persistence.scheduleSave();
+  io.to('admin').emit('transcodeJobUpdated', job);
+});
+
+transcodeQueue.on('progress', (job, progress) => {
+  io.to('admin').emit('transcodeProgress', { movieId: job.movieId, jobId: job.id, progress });
+});
+
+transcodeQueue.on('completed', (job, qualities) => {
+  io.to('admin').emit('transcodeComplete', { movieId: job.movieId, jobId: job.id, qualities });
+});
+
+transcodeQueue.on('failed', (job, error) => {
+  io.to('admin').emit('transcodeError', { movieId: job.movieId, jobId: job.id, error: error.message });
+});
+
+syncService.on('stateChanged', () => {
+  persistence.scheduleSave();
+});
+
+// Persistent storage (survives restarts and redeploys)
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+const persistence = createStorage({
+  backend: process.env.STORAGE_BACKEND,
+  dataDir
+});
+
+// Room visibility, passwords and signed invite links, and signed media URLs
+const secret = loadSecret(dataDir);
+const roomAccess = new RoomAccessService(secret);
+const mediaTokens = new MediaTokenService(secret, {
+  ttl: parseInt(process.env.MEDIA_TOKEN_TTL, 10) || undefined
+});
+
+// Reaction allowlists per room and custom reaction images, which are public
+// like posters
+const reactionService = new ReactionService(path.join(dataDir, 'reactions'));
+app.use('/reactions', express.static(reactionService.imageDir, {
+  setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+}));
+
+// Optional viewer accounts; req.account is the logged-in account, if any
+const accountService = new AccountService();
+app.use(sessionMiddleware(accountService));
+
+persistence.register('movies', movies, (movie) => {
+  const { transcodeProgress, ...record } = movie;
+  return record;
+});
+
+persistence.register('rooms', rooms, (room) => {
+  // Viewers are live connections and the movie is re-linked by movieId on load
+  const { viewers, movie, controllerId, ...record } = room;
+  return {
+    ...record,
+    ...syncService.getSettings(room.id),
+    playbackState: syncService.getSnapshot(room.id)
+  };
+});
+
+// Only presets added through the admin API; config presets come from the file
+persistence.register('presets', presetService.customPresets);
+
+persistence.register('jobs', transcodeQueue.jobs, (job) => {
+  const { progress, ...record } = job;
+  return record;
+});
+
+persistence.register('accounts', accountService.accounts);
+persistence.register('sessions', accountService.sessions);
+persistence.register('timelines', timelines.timelines);
+persistence.register('customReactions', reactionService.custom);
+
+function restoreState() {
+  const saved = persistence.load();
+
+  presetService.restore(saved.presets);
+  accountService.restore(saved.accounts, saved.sessions);
+  timelines.restore(saved.timelines);
+  reactionService.restore(saved.customReactions);
+
+  for (const movie of saved.movies) {
+    movies.set(movie.id, movie);
+  }
+
+  for (const savedRoom of saved.rooms) {
+    // Rooms saved before playlists play their one movie
+    if (!savedRoom.playlist) {
+      savedRoom.playlist = [{ id: uuidv4(), movieId: savedRoom.movieId, addedBy: null }];
+      savedRoom.currentItemId = savedRoom.playlist[0].id;
+    }
+
+    const playlist = savedRoom.playlist.filter(item => movies.has(item.movieId));
+    if (playlist.length === 0) {
+      console.warn(`Dropping room ${savedRoom.id}: its movies no longer exist`);
+      continue;
+    }
+
+    // Reactions used to be kept (empty) on the room; they're per movie now
+    const { playbackState, syncTolerance, waitForAll, reactions, ...record } = savedRoom;
+    const room = {
+      ...record,
+      playlist,
+      viewers: [],
+      chat: savedRoom.chat || []
+    };
+
+    // Start over from the first item if the current one was removed
+    const current = playlist.find(item => item.id === savedRoom.currentItemId);
+    room.currentItemId = (current || playlist[0]).id;
+    room.movieId = (current || playlist[0]).movieId;
+    room.movie = movies.get(room.movieId);
+
+    rooms.set(room.id, room);
+    // Nobody is watching right after a restart, so resume paused (from the
+    // start if the current item is gone)
+    syncService.createRoom(room.id, {
+      syncTolerance,
+      waitForAll,
+      playbackState: { ...playbackState, isPlaying: false, ...(current ? {} : { currentTime: 0 }) }
+    });
+  }
+
+  transcodeQueue.restore(saved.jobs);
+
+  // A transcode without a saved job (e.g. data from an older version) cannot be resumed
+  for (const movie of movies.values()) {
+    if ((movie.transcodeStatus === 'processing' || movie.transcodeStatus === 'queued') &&
+        !transcodeQueue.getActiveJob(movie.id)) {
+      movie.transcodeStatus = 'failed';
+      movie.transcodeError = 'Transcoding interrupted by server restart';
+    }
+  }
+
+  console.log(`Restored ${movies.size} movies, ${rooms.size} rooms, ${transcodeQueue.jobs.size} transcode jobs and ${accountService.accounts.size} accounts`);
+}
+
+restoreState();
+
+// Probe a movie's source file and store the result on the record
+async function probeMovie(movie) {
+  try {
+    movie.mediaInfo = await transcodeService.getVideoInfo(movie.path);
+    delete movie.probeError;
+  } catch (error) {
+    console.error(`Failed to probe ${movie.originalName}:`, error.message);
+    movie.mediaInfo = null;
+    movie.probeError = error.message;
+  }
+  persistence.scheduleSave();
+  io.to('admin').emit('movieProbed', { movieId: movie.id, mediaInfo: movie.mediaInfo });
+  return movie;
+}
+
+// Library scanning of the videos directory
+function handleLibraryScan(result) {
+  if (result.added.length || result.changed.length || result.removed.length) {
+    persistence.scheduleSave();
+  }
+  io.to('admin').emit('libraryScanned', result);
+
+  // Probe new and changed files one at a time in the background
+  const paths = new Set([...result.added, ...result.changed]);
+  const toProbe = Array.from(movies.values())
+    .filter(movie => movie.source === 'library' && paths.has(movie.libraryPath) && movie.libraryStatus !== 'missing');
+  toProbe.reduce((previous, movie) => previous.then(() => probeMovie(movie)), Promise.resolve());
+
+  return result;
+}
+
+if (process.env.LIBRARY_SCAN_ON_START === 'true') {
+  libraryService.scan(movies)
+    .then(handleLibraryScan)
+    .catch((error) => console.error('Startup library scan failed:', error));
+}
+
+const libraryScanInterval = parseFloat(process.env.LIBRARY_SCAN_INTERVAL) || 0;
+if (libraryScanInterval > 0) {
+  libraryService.startPeriodicScan(movies, libraryScanInterval, handleLibraryScan);
+}
 
 // API Routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'views', 'index.html'));
 });
 
+app.get('/admin/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'admin-login.html'));
+});
+
 app.get('/admin', adminAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'views', 'admin.html'));
 });
@@ -76,6 +368,31 @@ app.get('/watch/:roomId', (req, res) => {
   res.sendFile(path.join(__dirname, 'views', 'watch.html'));
 });
 
+// Posters are shown on the homepage and in the admin panel, so they stay public
+app.get('/transcoded/:movieId/poster.jpg', (req, res) => {
+  if (!movies.has(req.params.movieId)) {
+    return res.status(404).send('Not found');
+  }
+  res.sendFile(path.join(transcodeService.outputDir, req.params.movieId, 'poster.jpg'), (error) => {
+    if (error && !res.headersSent) res.status(404).send('Not found');
+  });
+});
+
+// Transcoded media (HLS playlists and segments, MP4s, subtitles, thumbnails)
+// for viewers of a room. The token must be valid and unexpired, its viewer
+// still in the room, and the movie on the room's playlist.
+app.use('/media/:token/:movieId', (req, res, next) => {
+  const { token, movieId } = req.params;
+  const grant = mediaTokens.verify(token);
+  const room = grant && rooms.get(grant.roomId);
+  if (!room || !getViewer(room, grant.viewerId) || !room.playlist.some(item => item.movieId === movieId)) {
+    return res.status(403).send('Forbidden');
+  }
+
+  // Rooted at the movie's directory so the path can't reach another movie
+  express.static(path.join(transcodeService.outputDir, movieId))(req, res, next);
+});
+
 // Upload movie (admin only)
 app.post('/api/upload', adminAuth, upload.single('movie'), async (req, res) => {
   try {
@@ -96,6 +413,7 @@ app.post('/api/upload', adminAuth, upload.single('movie'), async (req, res) => {
     };
 
     movies.set(movieId, movieData);
+    await probeMovie(movieData);
 
     res.json({
       success: true,
@@ -107,13 +425,41 @@ app.post('/api/upload', adminAuth, upload.single('movie'), async (req, res) => {
   }
 });
 
-// Get all movies
-app.get('/api/movies', (req, res) => {
+// Scan the videos directory for new, changed or removed files (admin only)
+app.post('/api/library/scan', adminAuth, async (req, res) => {
+  try {
+    const result = await libraryService.scan(movies);
+    res.json({ success: true, ...handleLibraryScan(result) });
+  } catch (error) {
+    console.error('Library scan error:', error);
+    res.status(500).json({ error: 'Library scan failed' });
+  }
+});
+
+// Get last library scan result (admin only)
+app.get('/api/library', adminAuth, (req, res) => {
+  res.json({ lastScan: libraryService.lastScan });
+});
+
+// Get all movies (admin only)
+app.get('/api/movies', adminAuth, (req, res) => {
   res.json(Array.from(movies.values()));
 });
 
-// Get specific movie
-app.get('/api/movies/:movieId', (req, res) => {
+// Transcoded movies that can be queued in a room, for the watch page
+app.get('/api/movies/playable', (req, res) => {
+  res.json(Array.from(movies.values())
+    .filter(movie => playlistService.isPlayable(movie))
+    .map(movie => ({
+      id: movie.id,
+      originalName: movie.originalName,
+      duration: movie.mediaInfo ? movie.mediaInfo.duration : null,
+      posterUrl: movie.posterUrl || null
+    })));
+});
+
+// Get specific movie (admin only)
+app.get('/api/movies/:movieId', adminAuth, (req, res) => {
   const movie = movies.get(req.params.movieId);
   if (!movie) {
     return res.status(404).json({ error: 'Movie not found' });
@@ -121,276 +467,1506 @@ app.get('/api/movies/:movieId', (req, res) => {
   res.json(movie);
 });
 
-// Start transcoding (admin only)
+// Queue transcoding (admin only)
 app.post('/api/movies/:movieId/transcode', adminAuth, async (req, res) => {
   const movie = movies.get(req.params.movieId);
   if (!movie) {
     return res.status(404).json({ error: 'Movie not found' });
   }
 
-  const qualities = req.body.qualities || ['360p', '480p', '720p', '1080p'];
+  if (movie.libraryStatus === 'missing') {
+    return res.status(400).json({ error: 'Source file is missing from the library' });
+  }
+
+  const qualities = req.body.qualities || transcodeService.getDefaultQualities(movie.mediaInfo);
+
+  if (transcodeQueue.getActiveJob(movie.id)) {
+    return res.status(409).json({ error: 'Movie already has a transcode job in progress' });
+  }
 
   try {
-    movie.transcodeStatus = 'processing';
-    movie.qualities = [];
-
-    // Start transcoding in background
-    transcodeService.transcodeMovie(movie, qualities, (progress) => {
-      movie.transcodeProgress = progress;
-      io.to('admin').emit('transcodeProgress', { movieId: movie.id, progress });
-    }).then((transcodedQualities) => {
-      movie.transcodeStatus = 'completed';
-      movie.qualities = transcodedQualities;
-      io.to('admin').emit('transcodeComplete', { movieId: movie.id, qualities: transcodedQualities });
-    }).catch((error) => {
-      movie.transcodeStatus = 'failed';
-      movie.transcodeError = error.message;
-      io.to('admin').emit('transcodeError', { movieId: movie.id, error: error.message });
-    });
+    if (movie.libraryStatus === 'changed') {
+      movie.libraryStatus = 'available';
+    }
 
-    res.json({ success: true, message: 'Transcoding started' });
+    const job = transcodeQueue.enqueue(movie.id, qualities);
+
+    res.json({ success: true, message: 'Transcoding queued', job });
   } catch (error) {
     console.error('Transcode error:', error);
-    res.status(500).json({ error: 'Failed to start transcoding' });
+    res.status(500).json({ error: 'Failed to queue transcoding' });
   }
 });
 
-// Create room (admin only)
-app.post('/api/rooms', adminAuth, (req, res) => {
-  const { movieId, name } = req.body;
-  const movie = movies.get(movieId);
-
+// List a movie's subtitle tracks
+app.get('/api/movies/:movieId/subtitles', (req, res) => {
+  const movie = movies.get(req.params.movieId);
   if (!movie) {
     return res.status(404).json({ error: 'Movie not found' });
   }
+  res.json(movie.subtitles || []);
+});
 
-  if (movie.transcodeStatus !== 'completed') {
-    return res.status(400).json({ error: 'Movie transcoding not completed' });
+// Upload an external subtitle file, converted to WebVTT (admin only)
+app.post('/api/movies/:movieId/subtitles', adminAuth, subtitleUpload.single('subtitle'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
   }
 
-  const roomId = uuidv4().substring(0, 8);
-  const room = {
-    id: roomId,
-    name: name || `Room ${roomId}`,
-    movieId,
-    movie,
-    createdAt: new Date(),
-    viewers: [],
-    playbackState: {
-      isPlaying: false,
-      currentTime: 0,
-      lastUpdate: Date.now()
-    },
-    chat: [],
-    reactions: []
-  };
+  try {
+    const movie = movies.get(req.params.movieId);
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
 
-  rooms.set(roomId, room);
-  syncService.createRoom(roomId, room);
+    const language = (req.body.language || 'und').trim();
+    if (!/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(language)) {
+      return res.status(400).json({ error: 'Language must be a code like "en", "fre" or "pt-BR"' });
+    }
 
-  res.json({ success: true, room });
-});
+    const id = uuidv4().substring(0, 8);
+    const subtitlesDir = path.join(transcodeService.outputDir, movie.id, 'subtitles');
+    fs.mkdirSync(subtitlesDir, { recursive: true });
+    await transcodeService.convertSubtitle(req.file.path, path.join(subtitlesDir, `${id}.vtt`));
+
+    const subtitle = {
+      id,
+      source: 'upload',
+      language,
+      label: (req.body.label || '').trim() || language,
+      forced: req.body.forced === 'true',
+      isDefault: req.body.isDefault === 'true',
+      url: transcodeService.getSubtitleUrl(movie.id, id)
+    };
 
-// Get all rooms
-app.get('/api/rooms', (req, res) => {
-  res.json(Array.from(rooms.values()).map(room => ({
-    ...room,
-    viewerCount: room.viewers.length
-  })));
-});
+    movie.subtitles = movie.subtitles || [];
+    if (subtitle.isDefault) {
+      movie.subtitles.forEach(s => { s.isDefault = false; });
+    }
+    movie.subtitles.push(subtitle);
 
-// Get specific room
-app.get('/api/rooms/:roomId', (req, res) => {
-  const room = rooms.get(req.params.roomId);
-  if (!room) {
-    return res.status(404).json({ error: 'Room not found' });
+    transcodeService.updateSubtitles(movie);
+    persistence.scheduleSave();
+    io.to('admin').emit('subtitlesUpdated', { movieId: movie.id, subtitles: movie.subtitles });
+
+    res.json({ success: true, subtitle });
+  } catch (error) {
+    console.error('Subtitle upload error:', error);
+    res.status(400).json({ error: 'Could not convert subtitle file' });
+  } finally {
+    fs.rm(req.file.path, { force: true }, () => {});
   }
-  res.json(room);
 });
 
-// Delete room (admin only)
-app.delete('/api/rooms/:roomId', adminAuth, (req, res) => {
-  const roomId = req.params.roomId;
-  if (!rooms.has(roomId)) {
-    return res.status(404).json({ error: 'Room not found' });
+// Delete a subtitle track (admin only). Embedded tracks come back on re-transcode.
+app.delete('/api/movies/:movieId/subtitles/:subtitleId', adminAuth, (req, res) => {
+  const movie = movies.get(req.params.movieId);
+  if (!movie) {
+    return res.status(404).json({ error: 'Movie not found' });
   }
 
-  syncService.deleteRoom(roomId);
-  rooms.delete(roomId);
+  const subtitle = (movie.subtitles || []).find(s => s.id === req.params.subtitleId);
+  if (!subtitle) {
+    return res.status(404).json({ error: 'Subtitle not found' });
+  }
+
+  movie.subtitles = movie.subtitles.filter(s => s !== subtitle);
+  fs.rm(path.join(transcodeService.outputDir, movie.id, 'subtitles', `${subtitle.id}.vtt`), { force: true }, () => {});
+
+  transcodeService.updateSubtitles(movie);
+  persistence.scheduleSave();
+  io.to('admin').emit('subtitlesUpdated', { movieId: movie.id, subtitles: movie.subtitles });
 
   res.json({ success: true });
 });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+// List quality presets (admin only)
+app.get('/api/presets', adminAuth, (req, res) => {
+  res.json(presetService.list());
+});
 
-  // Join admin room for updates
-  socket.on('joinAdmin', () => {
-    socket.join('admin');
-    console.log('Admin joined:', socket.id);
-  });
+// Create or update a quality preset (admin only)
+app.put('/api/presets/:name', adminAuth, (req, res) => {
+  try {
+    const preset = presetService.set({ ...req.body, name: req.params.name });
+    persistence.scheduleSave();
+    res.json({ success: true, preset });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-  // Join viewing room
-  socket.on('joinRoom', ({ roomId, username }) => {
-    const room = rooms.get(roomId);
-    if (!room) {
-      socket.emit('error', { message: 'Room not found' });
-      return;
-    }
+// Delete a custom quality preset (admin only)
+app.delete('/api/presets/:name', adminAuth, (req, res) => {
+  try {
+    presetService.delete(req.params.name);
+    persistence.scheduleSave();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    socket.join(roomId);
-    socket.roomId = roomId;
-    socket.username = username || `Viewer ${socket.id.substring(0, 4)}`;
+// List transcode jobs (admin only)
+app.get('/api/transcode/jobs', adminAuth, (req, res) => {
+  res.json(transcodeQueue.getJobs());
+});
 
-    // Add viewer to room
-    const viewer = {
-      id: socket.id,
-      username: socket.username,
-      joinedAt: new Date()
-    };
-    room.viewers.push(viewer);
+// Cancel a queued or running transcode job (admin only)
+app.post('/api/transcode/jobs/:jobId/cancel', adminAuth, (req, res) => {
+  if (!transcodeQueue.jobs.has(req.params.jobId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-    // Send current state to new viewer
-    socket.emit('roomState', {
-      room: {
-        ...room,
-        viewerCount: room.viewers.length
-      },
-      playbackState: room.playbackState,
-      chat: room.chat.slice(-50), // Last 50 messages
-      viewers: room.viewers
-    });
+  try {
+    const job = transcodeQueue.cancel(req.params.jobId);
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    // Notify others
-    socket.to(roomId).emit('viewerJoined', { viewer });
-    io.to(roomId).emit('viewerCount', { count: room.viewers.length });
+// Retry a failed or cancelled transcode job (admin only)
+app.post('/api/transcode/jobs/:jobId/retry', adminAuth, (req, res) => {
+  if (!transcodeQueue.jobs.has(req.params.jobId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-    console.log(`${socket.username} joined room ${roomId}`);
-  });
+  try {
+    const job = transcodeQueue.retry(req.params.jobId);
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-  // Leave room
-  socket.on('leaveRoom', () => {
-    handleLeaveRoom(socket);
-  });
+// Admin login form. The session cookie works alongside Basic auth; changes
+// made with it need the session's CSRF token (see GET /api/admin/session).
+app.post('/api/admin/login', (req, res) => {
+  if (adminUsers.size === 0) {
+    return res.status(503).json({ error: 'Admin authentication is not configured' });
+  }
+  if (rejectLockedOut(req, res, adminLoginLimiter)) return;
 
-  // Playback sync events (admin controls)
-  socket.on('play', ({ roomId, currentTime }) => {
-    const room = rooms.get(roomId);
-    if (!room) return;
+  const { username, password } = req.body;
+  if (!adminUsers.verify(username, password)) {
+    adminLoginLimiter.recordFailure(req.ip);
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+  adminLoginLimiter.recordSuccess(req.ip);
+
+  const session = adminSessions.create(username);
+  res.cookie(ADMIN_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: ADMIN_SESSION_LIFETIME,
+    path: '/'
+  });
+  res.json({ success: true, username });
+});
 
-    room.playbackState.isPlaying = true;
-    room.playbackState.currentTime = currentTime;
-    room.playbackState.lastUpdate = Date.now();
+app.post('/api/admin/logout', (req, res) => {
+  adminSessions.end(parseCookies(req.headers.cookie)[ADMIN_COOKIE]);
+  res.clearCookie(ADMIN_COOKIE, { path: '/' });
+  res.json({ success: true });
+});
 
-    socket.to(roomId).emit('syncPlay', {
-      currentTime,
-      serverTime: Date.now()
-    });
+// Who is logged in, and the CSRF token for changes if it's a session login
+app.get('/api/admin/session', adminAuth, (req, res) => {
+  res.json({
+    username: req.user ? req.user.username : null,
+    mode: req.adminSession ? 'session' : 'basic',
+    csrfToken: req.adminSession ? req.adminSession.csrfToken : null
   });
+});
 
-  socket.on('pause', ({ roomId, currentTime }) => {
-    const room = rooms.get(roomId);
-    if (!room) return;
-
-    room.playbackState.isPlaying = false;
-    room.playbackState.currentTime = currentTime;
-    room.playbackState.lastUpdate = Date.now();
+// Viewer accounts. Registering also logs in.
+app.post('/api/account/register', (req, res) => {
+  if (rejectLockedOut(req, res, accountRegisterLimiter, 'registrations')) return;
+  accountRegisterLimiter.recordFailure(req.ip);
 
-    socket.to(roomId).emit('syncPause', {
-      currentTime,
-      serverTime: Date.now()
-    });
-  });
+  let account;
+  try {
+    account = accountService.register(req.body.username, req.body.password);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-  socket.on('seek', ({ roomId, currentTime }) => {
-    const room = rooms.get(roomId);
-    if (!room) return;
+  const { token } = accountService.createSession(account);
+  setSessionCookie(req, res, token);
+  persistence.scheduleSave();
 
-    room.playbackState.currentTime = currentTime;
-    room.playbackState.lastUpdate = Date.now();
+  res.json({ success: true, account: accountService.describe(account) });
+});
 
-    socket.to(roomId).emit('syncSeek', {
-      currentTime,
-      serverTime: Date.now()
-    });
-  });
+app.post('/api/account/login', (req, res) => {
+  if (rejectLockedOut(req, res, accountLoginLimiter)) return;
 
-  // Request sync (for viewers who fall out of sync)
-  socket.on('requestSync', ({ roomId }) => {
-    const room = rooms.get(roomId);
-    if (!room) return;
+  const account = accountService.authenticate(req.body.username, req.body.password);
+  if (!account) {
+    accountLoginLimiter.recordFailure(req.ip);
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+  accountLoginLimiter.recordSuccess(req.ip);
 
-    // Calculate actual current time based on last update
-    let currentTime = room.playbackState.currentTime;
-    if (room.playbackState.isPlaying) {
-      const elapsed = (Date.now() - room.playbackState.lastUpdate) / 1000;
-      currentTime += elapsed;
-    }
+  const { token } = accountService.createSession(account);
+  setSessionCookie(req, res, token);
+  persistence.scheduleSave();
 
-    socket.emit('syncState', {
-      isPlaying: room.playbackState.isPlaying,
-      currentTime,
-      serverTime: Date.now()
-    });
-  });
+  res.json({ success: true, account: accountService.describe(account) });
+});
 
-  // Chat messages
-  socket.on('chatMessage', ({ roomId, message }) => {
-    const room = rooms.get(roomId);
-    if (!room) return;
+app.post('/api/account/logout', (req, res) => {
+  if (accountService.endSession(req.sessionToken)) {
+    persistence.scheduleSave();
+  }
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
 
-    const chatMessage = {
-      id: uuidv4(),
-      username: socket.username,
-      message: message.substring(0, 500), // Limit message length
-      timestamp: new Date()
-    };
+// The logged-in account, or null for guests
+app.get('/api/account', (req, res) => {
+  res.json({ account: accountService.describe(req.account) });
+});
 
-    room.chat.push(chatMessage);
+// Create room (admin only)
+app.post('/api/rooms', adminAuth, (req, res) => {
+  const { movieId, name, audioLanguage, controlMode, waitForAll, visibility, password, requireLogin, reactions } = req.body;
+  const syncTolerance = req.body.syncTolerance === undefined ? undefined : Number(req.body.syncTolerance);
+  const intermission = req.body.intermission === undefined ? 0 : Number(req.body.intermission);
+  // movieIds queues several movies; the first one plays first
+  const movieIds = Array.isArray(req.body.movieIds) && req.body.movieIds.length > 0 ? req.body.movieIds : [movieId];
+
+  for (const id of movieIds) {
+    const movie = movies.get(id);
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
 
-    // Keep only last 200 messages
-    if (room.chat.length > 200) {
-      room.chat = room.chat.slice(-200);
+    if (!playlistService.isPlayable(movie)) {
+      return res.status(400).json({ error: 'Movie transcoding not completed' });
     }
+  }
 
-    io.to(roomId).emit('newMessage', chatMessage);
-  });
+  if (syncTolerance !== undefined && !(syncTolerance >= 0.5 && syncTolerance <= 30)) {
+    return res.status(400).json({ error: 'Sync tolerance must be between 0.5 and 30 seconds' });
+  }
 
-  // Emoji reactions
-  socket.on('reaction', ({ roomId, emoji }) => {
+  const playlist = movieIds.map(id => playlistService.createItem(id));
+  const roomId = uuidv4().substring(0, 8);
+  const room = {
+    id: roomId,
+    name: name || `Room ${roomId}`,
+    movieId: playlist[0].movieId,
+    movie: movies.get(playlist[0].movieId),
+    playlist,
+    currentItemId: playlist[0].id,
+    // Seconds to wait between playlist items
+    intermission: 0,
+    // Audio track viewers get unless they picked their own
+    audioLanguage: audioLanguage || null,
+    controlMode: CONTROL_MODES.includes(controlMode) ? controlMode : 'host',
+    createdAt: new Date(),
+    viewers: [],
+    chat: [],
+    // Seconds between chat messages per viewer (0 is off); see ModerationService
+    slowMode: 0,
+    mutes: [],
+    bans: []
+  };
+
+  try {
+    playlistService.setIntermission(room, intermission);
+    roomAccess.setVisibility(room, visibility || 'public', password);
+    roomAccess.setRequireLogin(room, requireLogin === true);
+    if (reactions !== undefined) {
+      reactionService.setAllowed(room, reactions);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  rooms.set(roomId, room);
+  // syncTolerance: drift (seconds) before viewers hard-seek instead of
+  // catching up smoothly. waitForAll: pause everyone while anyone buffers.
+  syncService.createRoom(roomId, { syncTolerance, waitForAll: waitForAll === true });
+  persistence.scheduleSave();
+
+  res.json({ success: true, room: describeRoom(room) });
+});
+
+// Public rooms, for the homepage
+app.get('/api/rooms', (req, res) => {
+  res.json(Array.from(rooms.values())
+    .filter(room => roomAccess.isListed(room))
+    .map(describeRoomSummary));
+});
+
+// Every room with its settings (admin only)
+app.get('/api/admin/rooms', adminAuth, (req, res) => {
+  res.json(Array.from(rooms.values()).map(room => ({
+    ...describeRoom(room),
+    viewerCount: room.viewers.length
+  })));
+});
+
+// Get specific room. Private rooms need a valid invite (?invite=).
+app.get('/api/rooms/:roomId', (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  if (roomAccess.getVisibility(room) === 'private' && !roomAccess.verifyInvite(room, req.query.invite)) {
+    return res.status(403).json({ error: 'This room is private' });
+  }
+  res.json(describeRoomSummary(room));
+});
+
+// Change who can find and join a room (admin only). password only applies
+// to private rooms; an empty string removes it.
+app.put('/api/rooms/:roomId/visibility', adminAuth, (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  try {
+    roomAccess.setVisibility(room, req.body.visibility, req.body.password);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  persistence.scheduleSave();
+  res.json({ success: true, ...roomAccess.describeAccess(room) });
+});
+
+// Signed invite link that expires after `expiresIn` seconds (admin only)
+app.post('/api/rooms/:roomId/invites', adminAuth, (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  try {
+    const expiresIn = req.body.expiresIn === undefined ? 86400 : Number(req.body.expiresIn);
+    const { token, expiresAt } = roomAccess.createInvite(room, expiresIn);
+    res.json({ success: true, token, expiresAt, url: `/watch/${room.id}?invite=${encodeURIComponent(token)}` });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Default and custom reactions (admin only)
+app.get('/api/reactions', adminAuth, (req, res) => {
+  res.json(reactionService.list());
+});
+
+// Upload a custom image reaction (admin only), used in rooms as :name:
+app.post('/api/reactions', adminAuth, reactionUpload.single('image'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    const reaction = reactionService.addCustom((req.body.name || '').trim(), req.file.path, req.file.originalname);
+    persistence.scheduleSave();
+    res.json({ success: true, reaction });
+  } catch (error) {
+    fs.rm(req.file.path, { force: true }, () => {});
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a custom reaction (admin only); rooms that allowed it lose it
+app.delete('/api/reactions/:name', adminAuth, (req, res) => {
+  try {
+    const changed = reactionService.removeCustom(req.params.name, rooms.values());
+    changed.forEach(emitReactionSet);
+    persistence.scheduleSave();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Set which reactions a room allows (admin only): emojis and ":name:" custom
+// reactions, or null for the defaults
+app.put('/api/rooms/:roomId/reactions', adminAuth, (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  try {
+    reactionService.setAllowed(room, req.body.reactions);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  persistence.scheduleSave();
+  emitReactionSet(room);
+  res.json({ success: true, reactions: reactionService.describe(room) });
+});
+
+// Only let logged-in viewers join (admin only). Viewers already in the room stay.
+app.put('/api/rooms/:roomId/require-login', adminAuth, (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  try {
+    roomAccess.setRequireLogin(room, req.body.requireLogin);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  persistence.scheduleSave();
+  res.json({ success: true, ...roomAccess.describeAccess(room) });
+});
+
+// Chat moderation (admin only). Same actions hosts have on the watch page.
+app.get('/api/rooms/:roomId/moderation', adminAuth, (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  res.json(moderation.describe(room));
+});
+
+app.post('/api/rooms/:roomId/kick', adminAuth, (req, res) => {
+  handleAdminModeration(req, res, 'kick', { viewerId: req.body.viewerId });
+});
+
+app.post('/api/rooms/:roomId/mutes', adminAuth, (req, res) => {
+  handleAdminModeration(req, res, 'mute', { viewerId: req.body.viewerId, duration: req.body.duration });
+});
+
+app.delete('/api/rooms/:roomId/mutes/:muteId', adminAuth, (req, res) => {
+  handleAdminModeration(req, res, 'unmuteById', { muteId: req.params.muteId });
+});
+
+app.post('/api/rooms/:roomId/bans', adminAuth, (req, res) => {
+  handleAdminModeration(req, res, 'ban', { viewerId: req.body.viewerId, duration: req.body.duration });
+});
+
+app.delete('/api/rooms/:roomId/bans/:banId', adminAuth, (req, res) => {
+  handleAdminModeration(req, res, 'unban', { banId: req.params.banId });
+});
+
+app.delete('/api/rooms/:roomId/chat/:messageId', adminAuth, (req, res) => {
+  handleAdminModeration(req, res, 'deleteMessage', { messageId: req.params.messageId });
+});
+
+app.delete('/api/rooms/:roomId/chat', adminAuth, (req, res) => {
+  handleAdminModeration(req, res, 'clearChat', {});
+});
+
+app.put('/api/rooms/:roomId/slow-mode', adminAuth, (req, res) => {
+  handleAdminModeration(req, res, 'slowMode', { seconds: req.body.seconds });
+});
+
+// Set the room-wide default audio language (admin only)
+app.put('/api/rooms/:roomId/audio-language', adminAuth, (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const audioLanguage = req.body.audioLanguage || null;
+  if (audioLanguage && !(room.movie.audioTracks || []).some(t => t.language === audioLanguage)) {
+    return res.status(400).json({ error: 'Movie has no audio track in that language' });
+  }
+
+  room.audioLanguage = audioLanguage;
+  persistence.scheduleSave();
+  io.to(room.id).emit('audioLanguageChanged', { audioLanguage });
+
+  res.json({ success: true, audioLanguage });
+});
+
+// Delete room (admin only)
+app.delete('/api/rooms/:roomId', adminAuth, (req, res) => {
+  const roomId = req.params.roomId;
+  if (!rooms.has(roomId)) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  syncService.deleteRoom(roomId);
+  roleService.cancelVote(roomId);
+  playlistService.cancelIntermission(roomId);
+  moderation.forgetRoom(roomId);
+  reactionService.forgetRoom(roomId);
+  rooms.delete(roomId);
+  persistence.scheduleSave();
+
+  res.json({ success: true });
+});
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+  console.log('Client connected:', socket.id);
+  moderation.setClientIp(socket.id, getSocketIp(socket));
+
+  // Every event takes an object. Drop anything else rather than let a
+  // handler throw while destructuring it.
+  socket.use((packet, next) => {
+    if (packet[1] === undefined) {
+      packet[1] = {};
+    } else if (packet[1] === null || typeof packet[1] !== 'object') {
+      return;
+    }
+    next();
+  });
+
+  // Join admin room for updates. It gets every upload, transcode and room
+  // change, so only admins get in: the handshake must carry the admin
+  // session cookie or Basic credentials.
+  socket.on('joinAdmin', () => {
+    if (!adminAuth.isAdmin(socket.request, getSocketIp(socket))) {
+      socket.emit('adminDenied', { message: 'Admin login required' });
+      return;
+    }
+
+    socket.join('admin');
+    console.log('Admin joined:', socket.id);
+  });
+
+  // Join viewing room
+  socket.on('joinRoom', ({ roomId, username, password, invite, nativeHls }) => {
     const room = rooms.get(roomId);
-    if (!room) return;
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
 
-    const reaction = {
-      id: uuidv4(),
+    // The session is read on every join, so logging out takes effect on the next one
+    const account = accountService.getSessionAccount(getSessionToken(socket.request));
+    const name = account
+      ? account.username
+      : String(username || '').trim().substring(0, MAX_GUEST_NAME) || `Viewer ${socket.id.substring(0, 4)}`;
+    const ban = moderation.getBan(room, moderation.identify({ id: socket.id, accountId: account ? account.id : null }));
+    if (ban) {
+      socket.emit('accessDenied', { message: 'You are banned from this room', banned: true });
+      return;
+    }
+
+    // A locked-out client's passwords aren't checked at all, so guessing
+    // stops there; joins without a password (invites, public rooms) still work
+    const ip = getSocketIp(socket);
+    const retryAfter = password ? roomPasswordLimiter.getLockout(ip) : 0;
+    if (retryAfter) {
+      socket.emit('accessDenied', { message: `Too many wrong passwords. Try again in ${retryAfter} seconds`, passwordRequired: false, retryAfter });
+      return;
+    }
+
+    const denied = roomAccess.checkJoin(room, { password, invite, account }) ||
+      checkUsername(room, socket, name, account);
+    if (denied && denied.passwordRequired && password) {
+      roomPasswordLimiter.recordFailure(ip);
+    }
+    if (denied) {
+      socket.emit('accessDenied', denied);
+      return;
+    }
+
+    // A connection is in one room at a time: joining again, here or
+    // elsewhere, leaves the room it was in first
+    if (socket.roomId) {
+      handleLeaveRoom(socket);
+    }
+
+    socket.join(roomId);
+    socket.roomId = roomId;
+    socket.accountId = account ? account.id : null;
+    socket.username = name;
+    socket.nativeHls = Boolean(nativeHls);
+
+    // Add viewer to room. accountId is set for logged-in viewers, whose names are verified.
+    const viewer = {
+      id: socket.id,
       username: socket.username,
-      emoji,
-      timestamp: Date.now()
+      accountId: socket.accountId,
+      joinedAt: new Date()
     };
+    room.viewers = room.viewers.filter(v => v.id !== socket.id);
+    roleService.assignRole(room, viewer);
+    room.viewers.push(viewer);
+    syncService.addClient(socket);
+
+    const vote = roleService.votes.get(roomId);
+    const mediaToken = createMediaToken(roomId, socket.id);
+
+    // Send current state to new viewer
+    socket.emit('roomState', {
+      room: {
+        id: room.id,
+        name: room.name,
+        movieId: room.movieId,
+        movie: describeMovieForViewers(room.movie, mediaToken.token),
+        audioLanguage: room.audioLanguage,
+        visibility: roomAccess.getVisibility(room),
+        requireLogin: Boolean(room.requireLogin),
+        ...syncService.getSettings(roomId),
+        controlMode: roleService.getControlMode(room),
+        viewerCount: room.viewers.length
+      },
+      waiting: syncService.getWaitingViewers(roomId),
+      viewerId: socket.id,
+      mediaToken,
+      playbackState: syncService.getPlaybackState(roomId),
+      playlist: playlistService.describe(room),
+      chat: room.chat.slice(-50), // Last 50 messages
+      reactions: reactionService.describe(room),
+      heatmap: getHeatmap(room),
+      slowMode: room.slowMode || 0,
+      mutedUntil: (moderation.getMute(room, viewer) || {}).expiresAt || null,
+      viewers: room.viewers,
+      vote: vote ? roleService.describeVote(room, vote) : null
+    });
+
+    // Notify others
+    socket.to(roomId).emit('viewerJoined', { viewer });
+    io.to(roomId).emit('viewerCount', { count: room.viewers.length });
+    emitRoles(room);
+
+    console.log(`${socket.username} joined room ${roomId}`);
+  });
+
+  // Media tokens are short-lived; players ask for a new one before theirs expires
+  socket.on('requestMediaToken', () => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room) {
+      // Tokens belong to a connection in the room, e.g. not yet after a reconnect
+      socket.emit('mediaTokenError', { message: 'Join the room to get a media token' });
+      return;
+    }
+
+    socket.emit('mediaToken', createMediaToken(room.id, socket.id));
+  });
+
+  socket.on('clockPong', (data) => {
+    syncService.handleClockPong(socket.id, data || {});
+  });
+
+  // Player buffering state ('waiting' or 'ready') and seconds buffered ahead
+  socket.on('bufferStatus', ({ roomId, state, bufferedAhead }) => {
+    const room = getJoinedRoom(socket, roomId);
+    if (!room) return;
+
+    syncService.setBufferStatus(room.id, socket.id, { state, bufferedAhead });
+  });
+
+  // Leave room
+  socket.on('leaveRoom', () => {
+    handleLeaveRoom(socket);
+  });
+
+  // Playback sync events. The room's control mode decides who may change
+  // playback; in vote mode everyone else proposes a vote instead. seq is the
+  // version of the playback state the sender last saw.
+  socket.on('play', ({ roomId, currentTime, seq }) => {
+    handlePlaybackRequest(socket, roomId, 'play', { currentTime }, seq);
+  });
 
-    io.to(roomId).emit('newReaction', reaction);
+  socket.on('pause', ({ roomId, currentTime, seq }) => {
+    handlePlaybackRequest(socket, roomId, 'pause', { currentTime }, seq);
+  });
+
+  socket.on('seek', ({ roomId, currentTime, seq }) => {
+    handlePlaybackRequest(socket, roomId, 'seek', { currentTime }, seq);
+  });
+
+  socket.on('setRate', ({ roomId, currentTime, playbackRate, seq }) => {
+    handlePlaybackRequest(socket, roomId, 'rate', { currentTime, playbackRate }, seq);
+  });
+
+  // Start playing `delay` seconds from now, at the same moment for everyone
+  socket.on('scheduleStart', ({ roomId, currentTime, delay, seq }) => {
+    handlePlaybackRequest(socket, roomId, 'schedule', { currentTime, delay }, seq);
+  });
+
+  // Playlist (host and co-hosts). Switching to an item restarts it for
+  // everyone after a short countdown.
+  socket.on('playlistAdd', ({ movieId }) => {
+    handlePlaylistChange(socket, (room, actor) => playlistService.add(room, movieId, actor));
+  });
+
+  socket.on('playlistRemove', ({ itemId }) => {
+    handlePlaylistChange(socket, (room) => playlistService.remove(room, itemId));
+  });
+
+  socket.on('playlistMove', ({ itemId, index }) => {
+    handlePlaylistChange(socket, (room) => playlistService.move(room, itemId, index));
+  });
+
+  socket.on('playlistPlay', ({ itemId }) => {
+    handlePlaylistChange(socket, (room) => switchItem(room, playlistService.requireItem(room, itemId)));
+  });
+
+  socket.on('setIntermission', ({ seconds }) => {
+    handlePlaylistChange(socket, (room) => playlistService.setIntermission(room, seconds));
+  });
+
+  // A player reached the end of the current item. The first report moves the
+  // room on; it is checked against the room's position so one viewer can't
+  // end the item early.
+  socket.on('itemEnded', ({ roomId, itemId }) => {
+    const room = getJoinedRoom(socket, roomId);
+    if (!room || itemId !== room.currentItemId || playlistService.getIntermission(room.id)) return;
+
+    const duration = room.movie.mediaInfo ? room.movie.mediaInfo.duration : null;
+    const state = syncService.getPlaybackState(room.id);
+    if (!state.isPlaying || (duration && state.currentTime < duration - ITEM_END_MARGIN)) return;
+
+    finishItem(room, duration || state.currentTime);
+  });
+
+  // Hosts skip straight to the next item; everyone else starts a vote
+  socket.on('skipItem', () => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room) return;
+
+    const viewer = getViewer(room, socket.id);
+    const next = playlistService.getNext(room);
+    if (!next) {
+      socket.emit('playlistError', { message: 'Nothing to skip to' });
+      return;
+    }
+
+    if (roleService.canControl(room, viewer)) {
+      switchItem(room, next);
+      return;
+    }
+
+    try {
+      const itemId = room.currentItemId;
+      const vote = roleService.startVote(room, viewer, 'skip', syncService.getCurrentTime(room.id), (endedVote, passed) => {
+        io.to(room.id).emit('voteEnded', { id: endedVote.id, action: endedVote.action, passed });
+        // The room may have moved on while the vote ran
+        const skipTo = rooms.has(room.id) && room.currentItemId === itemId && playlistService.getNext(room);
+        if (passed && skipTo) {
+          switchItem(room, skipTo);
+        }
+      });
+      io.to(room.id).emit('voteStarted', roleService.describeVote(room, vote));
+      roleService.checkVote(room, vote);
+    } catch (error) {
+      socket.emit('playlistError', { message: error.message });
+    }
+  });
+
+  socket.on('castVote', ({ voteId }) => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room) return;
+
+    try {
+      const vote = roleService.castVote(room, getViewer(room, socket.id), voteId);
+      io.to(room.id).emit('voteUpdated', roleService.describeVote(room, vote));
+      roleService.checkVote(room, vote);
+    } catch (error) {
+      socket.emit('roleError', { message: error.message });
+    }
+  });
+
+  // Room roles (host only)
+  socket.on('setControlMode', ({ mode }) => {
+    handleRoleChange(socket, (room, actor) => roleService.setControlMode(room, actor, mode));
+  });
+
+  socket.on('setWaitForAll', ({ enabled }) => {
+    handleRoleChange(socket, (room, actor) => {
+      roleService.requireHost(actor);
+      syncService.setWaitForAll(room.id, enabled === true);
+    });
+  });
+
+  socket.on('transferHost', ({ viewerId }) => {
+    handleRoleChange(socket, (room, actor) => roleService.transferHost(room, actor, viewerId));
+  });
+
+  socket.on('promoteViewer', ({ viewerId }) => {
+    handleRoleChange(socket, (room, actor) => roleService.promote(room, actor, viewerId));
+  });
+
+  socket.on('demoteViewer', ({ viewerId }) => {
+    handleRoleChange(socket, (room, actor) => roleService.demote(room, actor, viewerId));
+  });
+
+  // Request sync (for viewers who fall out of sync)
+  socket.on('requestSync', ({ roomId }) => {
+    const room = getJoinedRoom(socket, roomId);
+    if (!room) return;
+
+    socket.emit('syncState', syncService.getPlaybackState(room.id));
+  });
+
+  // Chat messages; replyTo is the id of the message being answered
+  socket.on('chatMessage', ({ roomId, message, replyTo }) => {
+    const room = getJoinedRoom(socket, roomId);
+    if (!room || typeof message !== 'string' || !message.trim()) return;
+
+    const viewer = getViewer(room, socket.id);
+    const denied = moderation.checkSend(room, viewer, { isModerator: isModerator(viewer) });
+    if (denied) {
+      socket.emit('chatError', denied);
+      return;
+    }
+
+    let chatMessage;
+    try {
+      chatMessage = chat.post(room, viewer, message, { replyTo, position: getMoviePosition(room) });
+    } catch (error) {
+      socket.emit('chatError', { message: error.message });
+      return;
+    }
+
+    if (roomAccess.isListed(room)) {
+      timelines.addComment(room.movieId, room.id, chatMessage);
+    }
+    persistence.scheduleSave();
+
+    io.to(roomId).emit('newMessage', chatMessage);
+  });
+
+  socket.on('editMessage', ({ messageId, message }) => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room) return;
+
+    const viewer = getViewer(room, socket.id);
+    const denied = moderation.checkSend(room, viewer, { isChat: false });
+    if (denied) {
+      socket.emit('chatError', denied);
+      return;
+    }
+
+    try {
+      const edited = chat.edit(room, viewer, messageId, message);
+      timelines.editComment(edited.id, edited.message);
+      persistence.scheduleSave();
+
+      const { id, message: text, mentions, editedAt } = edited;
+      io.to(room.id).emit('messageEdited', { messageId: id, message: text, mentions, editedAt });
+    } catch (error) {
+      socket.emit('chatError', { message: error.message });
+    }
+  });
+
+  // Emoji reactions on a chat message; sending the same emoji again takes it back
+  socket.on('messageReaction', ({ messageId, emoji }) => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room) return;
+
+    const viewer = getViewer(room, socket.id);
+    const denied = checkReaction(room, viewer, emoji);
+    if (denied) {
+      socket.emit('chatError', denied);
+      return;
+    }
+
+    try {
+      const reactions = chat.toggleReaction(room, viewer, messageId, emoji);
+      persistence.scheduleSave();
+      io.to(room.id).emit('messageReactionsUpdated', { messageId, reactions });
+    } catch (error) {
+      socket.emit('chatError', { message: error.message });
+    }
+  });
+
+  // Muted viewers don't show up as typing
+  socket.on('typing', ({ isTyping }) => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room || typeof isTyping !== 'boolean') return;
+
+    if (isTyping && moderation.getMute(room, getViewer(room, socket.id))) return;
+    socket.to(room.id).emit('typing', { viewerId: socket.id, username: socket.username, isTyping });
+  });
+
+  // Emoji reactions, from the room's allowlist. They're sent on in batches
+  // with a count (see ReactionService).
+  socket.on('reaction', ({ roomId, emoji }) => {
+    const room = getJoinedRoom(socket, roomId);
+    if (!room) return;
+
+    const denied = checkReaction(room, getViewer(room, socket.id), emoji);
+    if (denied) {
+      socket.emit('chatError', denied);
+      return;
+    }
+
+    reactionService.queue(room.id, emoji, getMoviePosition(room), batch => emitReactions(room, batch));
+  });
+
+  // Chat from earlier public rooms that watched the current movie
+  socket.on('requestReplay', () => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room) return;
+
+    socket.emit('replayComments', { movieId: room.movieId, comments: timelines.getReplay(room.movieId, room.id) });
+  });
+
+  // Voice and camera chat. Media flows directly between players; the server
+  // keeps track of who is in the call and relays their WebRTC signaling.
+  socket.on('voiceJoin', ({ video }) => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room) return;
+
+    const viewer = getViewer(room, socket.id);
+    const muted = moderation.checkMute(room, viewer);
+    if (muted) {
+      socket.emit('voiceError', muted);
+      return;
+    }
+
+    try {
+      const others = voice.join(room, viewer, { video });
+      socket.emit('voiceJoined', { participants: others.map(v => v.id), iceServers: voice.iceServers });
+      io.to(room.id).emit('voiceStateChanged', { viewerId: viewer.id, voice: viewer.voice });
+    } catch (error) {
+      socket.emit('voiceError', { message: error.message });
+    }
+  });
+
+  socket.on('voiceLeave', () => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room) return;
+
+    endVoice(room, getViewer(room, socket.id));
+  });
+
+  // Mute and camera state, shown to everyone in the viewer list
+  socket.on('voiceState', ({ muted, video }) => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room) return;
+
+    try {
+      const state = voice.setState(getViewer(room, socket.id), { muted, video });
+      io.to(room.id).emit('voiceStateChanged', { viewerId: socket.id, voice: state });
+    } catch (error) {
+      socket.emit('voiceError', { message: error.message });
+    }
+  });
+
+  // Offers, answers and ICE candidates for another participant
+  socket.on('voiceSignal', (payload) => {
+    const room = getJoinedRoom(socket, socket.roomId);
+    if (!room) return;
+
+    try {
+      const { target, signal } = voice.checkSignal(room, getViewer(room, socket.id), payload);
+      io.to(target.id).emit('voiceSignal', { from: socket.id, ...signal });
+    } catch (error) {
+      socket.emit('voiceError', { message: error.message });
+    }
+  });
+
+  // Moderation by the host and co-hosts
+  socket.on('kickViewer', ({ viewerId }) => {
+    handleModeration(socket, 'kick', { viewerId });
+  });
+
+  socket.on('muteViewer', ({ viewerId, duration }) => {
+    handleModeration(socket, 'mute', { viewerId, duration });
+  });
+
+  socket.on('unmuteViewer', ({ viewerId }) => {
+    handleModeration(socket, 'unmute', { viewerId });
+  });
+
+  socket.on('banViewer', ({ viewerId, duration }) => {
+    handleModeration(socket, 'ban', { viewerId, duration });
+  });
+
+  socket.on('unbanViewer', ({ banId }) => {
+    handleModeration(socket, 'unban', { banId });
+  });
+
+  socket.on('deleteMessage', ({ messageId }) => {
+    handleModeration(socket, 'deleteMessage', { messageId });
+  });
+
+  socket.on('clearChat', () => {
+    handleModeration(socket, 'clearChat', {});
+  });
+
+  socket.on('setSlowMode', ({ seconds }) => {
+    handleModeration(socket, 'slowMode', { seconds });
   });
 
   // Disconnect handling
   socket.on('disconnect', () => {
     handleLeaveRoom(socket);
+    syncService.removeClient(socket.id);
+    moderation.forgetSocket(socket.id);
+    reactionService.forgetSocket(socket.id);
     console.log('Client disconnected:', socket.id);
   });
 
   function handleLeaveRoom(socket) {
     if (socket.roomId) {
       const room = rooms.get(socket.roomId);
-      if (room) {
+      const viewer = room && getViewer(room, socket.id);
+      if (viewer) {
+        endVoice(room, viewer);
         room.viewers = room.viewers.filter(v => v.id !== socket.id);
+        syncService.removeViewer(room.id, socket.id);
+        const newHost = roleService.handleLeave(room, viewer);
         socket.to(socket.roomId).emit('viewerLeft', { viewerId: socket.id, username: socket.username });
         io.to(socket.roomId).emit('viewerCount', { count: room.viewers.length });
+        if (newHost) {
+          io.to(room.id).emit('hostChanged', { viewerId: newHost.id, username: newHost.username });
+        }
+        emitRoles(room);
+
+        // Fewer viewers may be enough to pass a running vote
+        const vote = roleService.votes.get(room.id);
+        if (vote) {
+          roleService.checkVote(room, vote);
+        }
       }
       socket.leave(socket.roomId);
+      socket.roomId = null;
     }
   }
 });
 
+const VOTE_ACTIONS = ['play', 'pause', 'seek'];
+const ITEM_START_DELAY = 3; // seconds for everyone to load the next item
+const ITEM_END_MARGIN = 5; // seconds before the end that count as the end
+const MAX_GUEST_NAME = 24;
+
+// Answer 429 if the client is locked out after too many failed logins (or
+// other attempts the limiter counts)
+function rejectLockedOut(req, res, limiter, attempts = 'failed logins') {
+  const retryAfter = limiter.getLockout(req.ip);
+  if (!retryAfter) return false;
+
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({ error: `Too many ${attempts}. Try again in ${retryAfter} seconds` });
+  return true;
+}
+
+// Rooms a socket may send events for: only the one it joined
+function getJoinedRoom(socket, roomId) {
+  if (!roomId || socket.roomId !== roomId) return null;
+  return rooms.get(roomId) || null;
+}
+
+function getViewer(room, viewerId) {
+  return room.viewers.find(v => v.id === viewerId);
+}
+
+// Names are reserved: guests can't take a registered account's name, and
+// nobody can take the name of someone else already in the room (the same
+// account in a second tab is fine). Returns null or why the name is refused.
+function checkUsername(room, socket, username, account) {
+  const name = normalizeUsername(username);
+  if (!account && accountService.findByUsername(name)) {
+    return { message: `"${username}" belongs to a registered user. Log in to use it, or pick another name`, usernameTaken: true };
+  }
+
+  const taken = room.viewers.some(v => v.id !== socket.id &&
+    normalizeUsername(v.username) === name &&
+    !(account && v.accountId === account.id));
+  if (taken) {
+    return { message: `Someone in this room is already called "${username}"`, usernameTaken: true };
+  }
+  return null;
+}
+
+function emitRoles(room) {
+  io.to(room.id).emit('rolesUpdated', {
+    viewers: room.viewers,
+    controlMode: roleService.getControlMode(room),
+    waitForAll: syncService.getSettings(room.id).waitForAll,
+    controllerId: room.controllerId || null
+  });
+  // Roles decide who sees the mutes and bans
+  emitModeration(room);
+}
+
+function isModerator(viewer) {
+  return Boolean(viewer) && (viewer.role === 'host' || viewer.role === 'cohost');
+}
+
+// Mutes, bans and slow mode, for the host and co-hosts only
+function emitModeration(room) {
+  const state = moderation.describe(room);
+  for (const viewer of room.viewers.filter(isModerator)) {
+    io.to(viewer.id).emit('moderationUpdated', state);
+  }
+}
+
+// Client IP of a socket, following the same 'trust proxy' setting as req.ip
+function getSocketIp(socket) {
+  const trust = app.get('trust proxy fn');
+  const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '')
+    .split(',').map(address => address.trim()).filter(Boolean).reverse();
+  const addresses = [socket.handshake.address, ...forwarded];
+
+  let index = 0;
+  while (index < addresses.length - 1 && trust(addresses[index], index)) {
+    index++;
+  }
+  return addresses[index];
+}
+
+// Room as returned to the admin panel, with its live sync state and settings
+function describeRoom(room) {
+  const { passwordHash, mutes, bans, ...record } = room;
+  return {
+    ...record,
+    ...roomAccess.describeAccess(room),
+    moderation: moderation.describe(room),
+    ...syncService.getSettings(room.id),
+    playlist: playlistService.describeItems(room),
+    playbackState: syncService.getPlaybackState(room.id)
+  };
+}
+
+// Room as anyone may see it: no settings, viewers or chat
+function describeRoomSummary(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    visibility: roomAccess.getVisibility(room),
+    requireLogin: Boolean(room.requireLogin),
+    movie: { originalName: room.movie.originalName, posterUrl: room.movie.posterUrl || null },
+    viewerCount: room.viewers.length,
+    isPlaying: syncService.getPlaybackState(room.id).isPlaying
+  };
+}
+
+// A media token for a viewer in a room. Native HLS players can't switch to a
+// fresh token mid-stream, so they get a session token, which works for as
+// long as their connection stays in the room.
+function createMediaToken(roomId, viewerId) {
+  const socket = io.sockets.sockets.get(viewerId);
+  return mediaTokens.create(roomId, viewerId, { session: Boolean(socket && socket.nativeHls) });
+}
+
+// What a viewer's player needs of a movie, without server paths or admin
+// details. Media URLs point at /media with the viewer's token.
+function describeMovieForViewers(movie, token) {
+  const mediaUrl = url => mediaTokens.toMediaUrl(url, token) || null;
+  return {
+    id: movie.id,
+    originalName: movie.originalName,
+    duration: movie.mediaInfo ? movie.mediaInfo.duration : null,
+    hlsUrl: mediaUrl(movie.hlsUrl),
+    qualities: (movie.qualities || []).map(({ path: filePath, ...quality }) => ({
+      ...quality,
+      url: mediaUrl(quality.url),
+      playlistUrl: mediaUrl(quality.playlistUrl)
+    })),
+    audioTracks: movie.audioTracks || [],
+    audioRenditions: (movie.audioRenditions || []).map(rendition => ({
+      ...rendition,
+      playlistUrl: mediaUrl(rendition.playlistUrl)
+    })),
+    subtitles: (movie.subtitles || []).map(subtitle => ({ ...subtitle, url: mediaUrl(subtitle.url) })),
+    posterUrl: movie.posterUrl || null,
+    thumbnailsUrl: mediaUrl(movie.thumbnailsUrl)
+  };
+}
+
+function handlePlaybackRequest(socket, roomId, action, change, seq) {
+  const room = getJoinedRoom(socket, roomId);
+  if (!room || !Number.isFinite(change.currentTime) || change.currentTime < 0) return;
+
+  const viewer = getViewer(room, socket.id);
+  if (roleService.canControl(room, viewer)) {
+    try {
+      applyPlayback(room, action, change, viewer, socket, seq);
+    } catch (error) {
+      socket.emit('playbackDenied', { message: error.message });
+    }
+    return;
+  }
+
+  // Only play, pause and seek can be put to a vote
+  if (roleService.getControlMode(room) !== 'vote' || !VOTE_ACTIONS.includes(action)) {
+    socket.emit('playbackDenied', { message: 'Only the host and co-hosts can control playback' });
+    return;
+  }
+
+  try {
+    const vote = roleService.startVote(room, viewer, action, change.currentTime, (endedVote, passed) => {
+      io.to(room.id).emit('voteEnded', { id: endedVote.id, action: endedVote.action, passed });
+      if (passed && rooms.has(room.id)) {
+        applyPlayback(room, endedVote.action, { currentTime: endedVote.currentTime }, viewer);
+      }
+    });
+    io.to(room.id).emit('voteStarted', roleService.describeVote(room, vote));
+    roleService.checkVote(room, vote);
+  } catch (error) {
+    socket.emit('playbackDenied', { message: error.message });
+  }
+}
+
+// Apply and broadcast a playback change (see SyncService.handleAction); the
+// viewer behind it becomes the room's controller. Returns false if the change
+// was stale.
+function applyPlayback(room, action, change, controller, sender, seq) {
+  if (!syncService.handleAction(room.id, action, change, sender, seq)) return false;
+
+  if (room.controllerId !== controller.id) {
+    room.controllerId = controller.id;
+    emitRoles(room);
+  }
+  return true;
+}
+
+function handleRoleChange(socket, change) {
+  const room = getJoinedRoom(socket, socket.roomId);
+  if (!room) return;
+
+  try {
+    change(room, getViewer(room, socket.id));
+    persistence.scheduleSave();
+    emitRoles(room);
+  } catch (error) {
+    socket.emit('roleError', { message: error.message });
+  }
+}
+
+function handlePlaylistChange(socket, change) {
+  const room = getJoinedRoom(socket, socket.roomId);
+  if (!room) return;
+
+  try {
+    const actor = getViewer(room, socket.id);
+    roleService.requireCohost(actor);
+    change(room, actor);
+    persistence.scheduleSave();
+    emitPlaylist(room);
+  } catch (error) {
+    socket.emit('playlistError', { message: error.message });
+  }
+}
+
+function handleModeration(socket, action, params) {
+  const room = getJoinedRoom(socket, socket.roomId);
+  if (!room) return;
+
+  try {
+    const actor = getViewer(room, socket.id);
+    roleService.requireCohost(actor);
+    moderate(room, action, params, actor);
+  } catch (error) {
+    socket.emit('moderationError', { message: error.message });
+  }
+}
+
+function handleAdminModeration(req, res, action, params) {
+  const room = rooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  try {
+    moderate(room, action, params, null);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ success: true, ...moderation.describe(room) });
+}
+
+const MODERATION_TARGETS = ['kick', 'mute', 'unmute', 'ban'];
+const DEFAULT_MUTE = 300; // seconds
+
+// Moderation actions, shared by hosts (over sockets) and admins (REST).
+// actor is the moderating viewer, or null for an admin, who may moderate anyone.
+function moderate(room, action, params, actor) {
+  const by = actor ? actor.username : 'an admin';
+  const target = MODERATION_TARGETS.includes(action) ? roleService.requireViewer(room, params.viewerId) : null;
+  if (target && actor) {
+    moderation.requireCanModerate(actor, target);
+  }
+
+  switch (action) {
+    case 'kick':
+      removeViewer(target, `You were removed from the room by ${by}`);
+      announce(room, `${target.username} was removed by ${by}`);
+      break;
+    case 'mute': {
+      const duration = params.duration === undefined ? DEFAULT_MUTE : Number(params.duration);
+      const mute = moderation.mute(room, target, duration, by);
+      io.to(target.id).emit('muted', { expiresAt: mute.expiresAt, by });
+      // Muted viewers can't talk either
+      endVoice(room, target);
+      announce(room, `${target.username} was muted by ${by}`);
+      break;
+    }
+    case 'unmute':
+      moderation.unmute(room, target);
+      io.to(target.id).emit('unmuted', { by });
+      break;
+    case 'ban': {
+      const duration = params.duration === undefined || params.duration === null ? null : Number(params.duration);
+      moderation.ban(room, target, duration, by);
+      removeViewer(target, `You were banned from the room by ${by}`);
+      announce(room, `${target.username} was banned by ${by}`);
+      break;
+    }
+    case 'unban':
+      moderation.unban(room, params.banId);
+      break;
+    case 'unmuteById':
+      moderation.removeMute(room, params.muteId);
+      break;
+    case 'deleteMessage':
+      moderation.deleteMessage(room, params.messageId);
+      timelines.removeComment(params.messageId);
+      io.to(room.id).emit('messageDeleted', { messageId: params.messageId });
+      break;
+    case 'clearChat':
+      moderation.clearChat(room);
+      timelines.removeRoomComments(room.id);
+      io.to(room.id).emit('chatCleared', { by });
+      break;
+    case 'slowMode':
+      moderation.setSlowMode(room, Number(params.seconds));
+      io.to(room.id).emit('slowModeChanged', { seconds: room.slowMode, by });
+      break;
+    default:
+      throw new Error('Unknown moderation action');
+  }
+
+  persistence.scheduleSave();
+  emitModeration(room);
+}
+
+// Why a viewer can't send this reaction now, or null if they can
+function checkReaction(room, viewer, key) {
+  if (!reactionService.isAllowed(room, key)) {
+    return { message: "That reaction isn't available in this room" };
+  }
+
+  const muted = moderation.checkMute(room, viewer);
+  if (muted) {
+    return muted;
+  }
+
+  const retryAfter = reactionService.checkRate(viewer.id);
+  return retryAfter ? { message: 'You are reacting too fast', retryAfter } : null;
+}
+
+// One event per reaction in the batch, with how many people sent it
+function emitReactions(room, batch) {
+  if (!rooms.has(room.id)) return;
+
+  for (const { key, count, position } of batch) {
+    const reaction = { id: uuidv4(), emoji: key, count, movieId: room.movieId, position, timestamp: Date.now() };
+    timelines.addReaction(room.movieId, reaction);
+    io.to(room.id).emit('newReaction', reaction);
+  }
+  persistence.scheduleSave();
+}
+
+function emitReactionSet(room) {
+  io.to(room.id).emit('reactionsUpdated', { reactions: reactionService.describe(room) });
+}
+
+// Where the room is in its current movie, for anchoring chat and reactions
+function getMoviePosition(room) {
+  const duration = room.movie.mediaInfo ? room.movie.mediaInfo.duration : null;
+  const position = Math.max(0, syncService.getCurrentTime(room.id));
+  return Math.round((duration ? Math.min(position, duration) : position) * 10) / 10;
+}
+
+function getHeatmap(room) {
+  return timelines.getHeatmap(room.movieId, room.movie.mediaInfo ? room.movie.mediaInfo.duration : null);
+}
+
+// Take a viewer out of the voice chat; everyone (them included) drops their connection
+function endVoice(room, viewer) {
+  if (viewer && voice.leave(viewer)) {
+    io.to(room.id).emit('voiceStateChanged', { viewerId: viewer.id, voice: null });
+  }
+}
+
+// Tell a viewer why and disconnect them; leaving the room happens on disconnect
+function removeViewer(viewer, message) {
+  const viewerSocket = io.sockets.sockets.get(viewer.id);
+  if (viewerSocket) {
+    viewerSocket.emit('kicked', { message });
+    viewerSocket.disconnect(true);
+  }
+}
+
+// A line in everyone's chat about a moderation action
+function announce(room, message) {
+  io.to(room.id).emit('moderationNotice', { message });
+}
+
+function emitPlaylist(room) {
+  io.to(room.id).emit('playlistUpdated', playlistService.describe(room));
+}
+
+// The current item is over: hold the room at its end, then move on to the
+// next item once the intermission is over
+function finishItem(room, endTime) {
+  const state = syncService.applyAction(room.id, 'pause', { currentTime: endTime });
+  io.to(room.id).emit('syncPause', state);
+
+  const next = playlistService.getNext(room);
+  if (!next) return;
+
+  if (!room.intermission) {
+    switchItem(room, next);
+    return;
+  }
+
+  playlistService.startIntermission(room, () => {
+    if (rooms.has(room.id)) {
+      switchItem(room, next);
+    }
+  });
+  emitPlaylist(room);
+}
+
+// Everyone switches to the item together: it starts from the beginning
+// after a short countdown, so every player has time to load it
+function switchItem(room, item) {
+  playlistService.cancelIntermission(room.id);
+  playlistService.setCurrent(room, item.id);
+
+  // Votes were about the previous item
+  const vote = roleService.votes.get(room.id);
+  if (vote) {
+    roleService.cancelVote(room.id);
+    io.to(room.id).emit('voteEnded', { id: vote.id, action: vote.action, passed: false });
+  }
+
+  const playbackState = syncService.applyAction(room.id, 'schedule', { currentTime: 0, delay: ITEM_START_DELAY });
+  persistence.scheduleSave();
+
+  // Media URLs carry each viewer's own token
+  const playlist = playlistService.describe(room);
+  const heatmap = getHeatmap(room);
+  for (const viewer of room.viewers) {
+    const { token } = createMediaToken(room.id, viewer.id);
+    io.to(viewer.id).emit('itemChanged', {
+      movie: describeMovieForViewers(room.movie, token),
+      heatmap,
+      playlist,
+      playbackState
+    });
+  }
+}
+
+// Write pending changes before the process exits
+function shutdown(signal) {
+  console.log(`Received ${signal}, saving state...`);
+  persistence.flush();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { verifyPassword } = require('../middleware/auth');
+
+const SESSION_LIFETIME = 30 * 24 * 3600 * 1000; // ms
+const MIN_PASSWORD_LENGTH = 8;
+// Same cost as real hashes, for a random password nobody knows. Checked
+// against when the username doesn't exist, so that takes as long as a wrong
+// password and response times don't reveal which usernames are taken.
+const DUMMY_HASH = '$2a$10$PBkj642ID55HW4SRcL4sBuOpyXGNJXnFYAx24sLsM5Itjqc0dPN.6';
+
+// Usernames are compared case-insensitively: "Dave" and "dave" are the same name
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Optional viewer accounts with cookie sessions. Passwords are bcrypt
+// hashes checked with the same verifyPassword() as the admin htpasswd file.
+class AccountService {
+  constructor() {
+    this.accounts = new Map(); // account id -> { id, username, passwordHash, createdAt }
+    // Sessions are keyed by a hash of their token, so the saved data alone
+    // can't be used to log in
+    this.sessions = new Map(); // token hash -> { id, accountId, expiresAt }
+  }
+
+  restore(savedAccounts, savedSessions) {
+    for (const account of savedAccounts) {
+      this.accounts.set(account.id, account);
+    }
+    for (const session of savedSessions) {
+      if (session.expiresAt > Date.now() && this.accounts.has(session.accountId)) {
+        this.sessions.set(session.id, session);
+      }
+    }
+  }
+
+  register(username, password) {
+    const name = typeof username === 'string' ? username.trim() : '';
+    if (!/^[a-zA-Z0-9_-]{3,24}$/.test(name)) {
+      throw new Error('Username must be 3-24 letters, numbers, dashes or underscores');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (this.findByUsername(name)) {
+      throw new Error('That username is taken');
+    }
+
+    const account = {
+      id: uuidv4(),
+      username: name,
+      passwordHash: bcrypt.hashSync(password, 10),
+      createdAt: new Date()
+    };
+    this.accounts.set(account.id, account);
+    return account;
+  }
+
+  // Returns the account, or null if the username or password is wrong
+  authenticate(username, password) {
+    // Like register, only strings: ["dave"] would otherwise be read as "dave"
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return null;
+    }
+
+    const account = this.findByUsername(username);
+    const valid = verifyPassword(password, account ? account.passwordHash : DUMMY_HASH);
+    return account && valid ? account : null;
+  }
+
+  findByUsername(username) {
+    const name = normalizeUsername(username);
+    for (const account of this.accounts.values()) {
+      if (normalizeUsername(account.username) === name) return account;
+    }
+    return null;
+  }
+
+  // Returns the token to hand to the client (only its hash is kept)
+  createSession(account) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = {
+      id: hashToken(token),
+      accountId: account.id,
+      expiresAt: Date.now() + SESSION_LIFETIME
+    };
+    this.sessions.set(session.id, session);
+    return { token, expiresAt: session.expiresAt };
+  }
+
+  // The account a session token belongs to, if the session is still valid
+  getSessionAccount(token) {
+    const id = token ? hashToken(token) : null;
+    const session = id && this.sessions.get(id);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return this.accounts.get(session.accountId) || null;
+  }
+
+  endSession(token) {
+    return token ? this.sessions.delete(hashToken(token)) : false;
+  }
+
+  // Account as sent to clients
+  describe(account) {
+    return account ? { id: account.id, username: account.username } : null;
+  }
+}
+
+module.exports = { AccountService, normalizeUsername, SESSION_LIFETIME };
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+const SESSION_LIFETIME = 12 * 3600 * 1000; // ms
+
+// Cookie sessions for the admin login form. Each session has its own CSRF
+// token that the admin panel sends with every change. Sessions only live in
+// memory, so a restart logs admins out.
+class AdminSessionService {
+  constructor() {
+    this.sessions = new Map(); // token -> { username, csrfToken, expiresAt }
+  }
+
+  create(username) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = {
+      username,
+      csrfToken: crypto.randomBytes(32).toString('hex'),
+      expiresAt: Date.now() + SESSION_LIFETIME
+    };
+    this.sessions.set(token, session);
+    return { token, ...session };
+  }
+
+  get(token) {
+    const session = token && this.sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  end(token) {
+    return token ? this.sessions.delete(token) : false;
+  }
+}
+
+module.exports = { AdminSessionService, SESSION_LIFETIME };
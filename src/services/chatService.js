@@ -0,0 +1,125 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_LENGTH = 500;
+const MAX_HISTORY = 200; // messages kept per room
+const EDIT_WINDOW = 5 * 60; // seconds
+const MAX_EMOJI_LENGTH = 16;
+const MAX_MESSAGE_REACTIONS = 20; // different emojis per message
+const QUOTE_LENGTH = 100;
+
+// Room chat (room.chat): replies, @mentions, emoji reactions on messages and
+// edits. Text goes through filterText (the word filter) before it's stored.
+class ChatService {
+  constructor(options = {}) {
+    this.filterText = options.filterText || (text => text);
+  }
+
+  // sender is the viewer; position is where the room is in the movie
+  post(room, sender, text, { replyTo, position } = {}) {
+    const message = this.cleanText(text);
+    const chatMessage = {
+      id: uuidv4(),
+      senderId: sender.id,
+      username: sender.username,
+      verified: Boolean(sender.accountId),
+      message,
+      replyTo: replyTo === undefined || replyTo === null ? null : this.quote(room, replyTo),
+      mentions: this.findMentions(room, message),
+      reactions: {}, // emoji -> usernames
+      movieId: room.movieId,
+      position,
+      timestamp: new Date()
+    };
+
+    room.chat.push(chatMessage);
+    if (room.chat.length > MAX_HISTORY) {
+      room.chat = room.chat.slice(-MAX_HISTORY);
+    }
+    return chatMessage;
+  }
+
+  // Senders can change their own message for a few minutes, from the same connection
+  edit(room, sender, messageId, text) {
+    const chatMessage = this.getMessage(room, messageId);
+    if (chatMessage.senderId !== sender.id) {
+      throw new Error('You can only edit your own messages');
+    }
+    if (Date.now() - new Date(chatMessage.timestamp).getTime() > EDIT_WINDOW * 1000) {
+      throw new Error(`Messages can only be edited for ${EDIT_WINDOW / 60} minutes`);
+    }
+
+    chatMessage.message = this.cleanText(text);
+    chatMessage.mentions = this.findMentions(room, chatMessage.message);
+    chatMessage.editedAt = new Date();
+    return chatMessage;
+  }
+
+  // Adds the viewer's reaction, or takes it back if they already reacted with that emoji
+  toggleReaction(room, viewer, messageId, emoji) {
+    if (typeof emoji !== 'string' || !emoji.trim() || emoji.length > MAX_EMOJI_LENGTH) {
+      throw new Error('Invalid reaction');
+    }
+
+    const chatMessage = this.getMessage(room, messageId);
+    const reactions = chatMessage.reactions || {};
+    const users = reactions[emoji] || [];
+
+    if (users.includes(viewer.username)) {
+      const remaining = users.filter(name => name !== viewer.username);
+      if (remaining.length) {
+        reactions[emoji] = remaining;
+      } else {
+        delete reactions[emoji];
+      }
+    } else {
+      if (!reactions[emoji] && Object.keys(reactions).length >= MAX_MESSAGE_REACTIONS) {
+        throw new Error('This message has too many different reactions');
+      }
+      reactions[emoji] = [...users, viewer.username];
+    }
+
+    chatMessage.reactions = reactions;
+    return reactions;
+  }
+
+  getMessage(room, messageId) {
+    const chatMessage = typeof messageId === 'string' && room.chat.find(m => m.id === messageId);
+    if (!chatMessage) {
+      throw new Error('Message not found');
+    }
+    return chatMessage;
+  }
+
+  // Names of viewers in the room written as @name
+  findMentions(room, text) {
+    const lower = text.toLowerCase();
+    const names = new Set(room.viewers.map(v => v.username));
+
+    return [...names].filter(name => {
+      const mention = `@${name.toLowerCase()}`;
+      let index = lower.indexOf(mention);
+      while (index !== -1) {
+        // "@Sam" shouldn't count as a mention of "Samantha"
+        const next = lower[index + mention.length];
+        if (next === undefined || !/[\w-]/.test(next)) return true;
+        index = lower.indexOf(mention, index + 1);
+      }
+      return false;
+    });
+  }
+
+  // A reply carries a short copy of the message it answers
+  quote(room, messageId) {
+    const original = this.getMessage(room, messageId);
+    return { id: original.id, username: original.username, message: original.message.substring(0, QUOTE_LENGTH) };
+  }
+
+  cleanText(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Message is empty');
+    }
+    return this.filterText(text.trim().substring(0, MAX_LENGTH));
+  }
+}
+
+module.exports = { ChatService, EDIT_WINDOW };
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.webm', '.mov', '.m4v'];
+
+class LibraryService {
+  constructor(videosDir) {
+    this.videosDir = videosDir;
+    this.scanPromise = null;
+    this.scanInterval = null;
+    this.lastScan = null;
+  }
+
+  // Scan the videos directory and register/update movie records in place.
+  // Concurrent callers share the scan that is already running.
+  scan(movies) {
+    if (!this.scanPromise) {
+      this.scanPromise = this.runScan(movies).finally(() => {
+        this.scanPromise = null;
+      });
+    }
+    return this.scanPromise;
+  }
+
+  async runScan(movies) {
+    const result = {
+      added: [],
+      changed: [],
+      removed: [],
+      unchanged: 0,
+      scannedAt: new Date()
+    };
+
+    const files = await this.findVideoFiles(this.videosDir);
+
+    // Index library movies by their path relative to the videos directory
+    const libraryMovies = new Map();
+    for (const movie of movies.values()) {
+      if (movie.source === 'library') {
+        libraryMovies.set(movie.libraryPath, movie);
+      }
+    }
+
+    for (const file of files) {
+      const existing = libraryMovies.get(file.relativePath);
+      libraryMovies.delete(file.relativePath);
+
+      if (!existing) {
+        const movie = {
+          id: uuidv4(),
+          originalName: path.basename(file.relativePath),
+          filename: path.basename(file.relativePath),
+          path: file.path,
+          size: file.size,
+          uploadedAt: new Date(),
+          source: 'library',
+          libraryPath: file.relativePath,
+          libraryStatus: 'available',
+          modifiedAt: file.modifiedAt,
+          transcodeStatus: 'pending',
+          qualities: []
+        };
+        movies.set(movie.id, movie);
+        result.added.push(movie.libraryPath);
+        continue;
+      }
+
+      const wasMissing = existing.libraryStatus === 'missing';
+      const modified = existing.size !== file.size ||
+        new Date(existing.modifiedAt).getTime() !== file.modifiedAt.getTime();
+
+      existing.path = file.path;
+
+      if (modified) {
+        existing.size = file.size;
+        existing.modifiedAt = file.modifiedAt;
+        // Existing transcodes were made from the old file
+        existing.libraryStatus = existing.transcodeStatus === 'pending' ? 'available' : 'changed';
+        result.changed.push(existing.libraryPath);
+      } else if (wasMissing) {
+        existing.libraryStatus = 'available';
+        result.changed.push(existing.libraryPath);
+      } else {
+        result.unchanged++;
+      }
+    }
+
+    // Anything left was not found on disk. Keep the record so rooms and
+    // transcoded files that reference it keep working.
+    for (const movie of libraryMovies.values()) {
+      if (movie.libraryStatus !== 'missing') {
+        movie.libraryStatus = 'missing';
+        result.removed.push(movie.libraryPath);
+      }
+    }
+
+    this.lastScan = result;
+    console.log(`Library scan: ${result.added.length} added, ${result.changed.length} changed, ${result.removed.length} removed, ${result.unchanged} unchanged`);
+
+    return result;
+  }
+
+  async findVideoFiles(dir) {
+    const files = [];
+    let entries;
+
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn(`Videos directory not found: ${dir}`);
+        return files;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        files.push(...await this.findVideoFiles(fullPath));
+      } else if (entry.isFile() && VIDEO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        const stats = await fs.promises.stat(fullPath);
+        files.push({
+          path: fullPath,
+          relativePath: path.relative(this.videosDir, fullPath).split(path.sep).join('/'),
+          size: stats.size,
+          modifiedAt: stats.mtime
+        });
+      }
+    }
+
+    return files;
+  }
+
+  startPeriodicScan(movies, intervalMinutes, onScan) {
+    this.stopPeriodicScan();
+
+    this.scanInterval = setInterval(() => {
+      this.scan(movies)
+        .then(onScan)
+        .catch((error) => console.error('Periodic library scan failed:', error));
+    }, intervalMinutes * 60 * 1000);
+  }
+
+  stopPeriodicScan() {
+    if (this.scanInterval) {
+      clearInterval(this.scanInterval);
+      this.scanInterval = null;
+    }
+  }
+}
+
+module.exports = LibraryService;
@@ -0,0 +1,52 @@
+// Per-client (IP) lockout after repeated failed logins. After maxAttempts
+// failures in a row the client is locked out for lockout seconds, doubling
+// with every further failure up to maxLockout. A successful login, or
+// resetAfter seconds without a failure, clears the count.
+class LoginLimiter {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 5;
+    this.lockout = options.lockout || 30; // seconds
+    this.maxLockout = options.maxLockout || 15 * 60;
+    this.resetAfter = options.resetAfter || 15 * 60;
+    this.clients = new Map(); // key -> { failures, lastFailure, lockedUntil }
+  }
+
+  // Seconds until the client may try again (0 if it isn't locked out)
+  getLockout(key) {
+    const client = this.clients.get(key);
+    if (!client || client.lockedUntil <= Date.now()) return 0;
+    return Math.ceil((client.lockedUntil - Date.now()) / 1000);
+  }
+
+  recordFailure(key) {
+    this.prune();
+
+    const client = this.clients.get(key) || { failures: 0, lastFailure: 0, lockedUntil: 0 };
+    client.failures++;
+    client.lastFailure = Date.now();
+
+    if (client.failures >= this.maxAttempts) {
+      const seconds = Math.min(this.lockout * 2 ** (client.failures - this.maxAttempts), this.maxLockout);
+      client.lockedUntil = Date.now() + seconds * 1000;
+    }
+
+    this.clients.set(key, client);
+    return this.getLockout(key);
+  }
+
+  recordSuccess(key) {
+    this.clients.delete(key);
+  }
+
+  // Forget clients that stopped failing and aren't locked out
+  prune() {
+    const cutoff = Date.now() - this.resetAfter * 1000;
+    for (const [key, client] of this.clients) {
+      if (client.lastFailure < cutoff && client.lockedUntil <= Date.now()) {
+        this.clients.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = LoginLimiter;
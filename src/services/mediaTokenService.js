@@ -0,0 +1,47 @@
+const { sign, verifySignature } = require('./secretService');
+
+const SESSION = 'session'; // in place of the expiry time
+
+// Short-lived tokens for /media URLs. A token names the room and the viewer
+// (socket) it was issued to; the media route additionally checks that the
+// viewer is still in that room and that the movie is on its playlist, so a
+// shared link stops working as soon as its viewer leaves.
+//
+// Tokens go in the URL path (/media/<token>/<movieId>/...) rather than the
+// query string, so the relative URIs inside HLS playlists inherit them.
+//
+// Session tokens don't expire and rely on that room check alone. They are for
+// the browser's native HLS player, which keeps requesting segments with the
+// token it loaded the source with and can't be handed a new one mid-stream.
+class MediaTokenService {
+  constructor(secret, options = {}) {
+    this.secret = secret;
+    this.ttl = options.ttl || 900; // seconds
+  }
+
+  // expiresAt is null for a session token
+  create(roomId, viewerId, { session = false } = {}) {
+    const expiresAt = session ? null : Date.now() + this.ttl * 1000;
+    const payload = `${roomId}.${viewerId}.${session ? SESSION : expiresAt}`;
+    return { token: `${payload}.${sign(this.secret, payload)}`, expiresAt };
+  }
+
+  // Returns { roomId, viewerId } for a valid, unexpired token, else null
+  verify(token) {
+    const [roomId, viewerId, expiresAt, signature] = String(token || '').split('.');
+    if (!roomId || !viewerId || !(expiresAt === SESSION || Number(expiresAt) > Date.now())) {
+      return null;
+    }
+    if (!verifySignature(this.secret, `${roomId}.${viewerId}.${expiresAt}`, signature)) {
+      return null;
+    }
+    return { roomId, viewerId };
+  }
+
+  // Rewrite a stored /transcoded URL to its /media URL for this token
+  toMediaUrl(url, token) {
+    return url ? url.replace(/^\/transcoded\//, `/media/${token}/`) : url;
+  }
+}
+
+module.exports = MediaTokenService;
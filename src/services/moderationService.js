@@ -0,0 +1,242 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_SLOW_MODE = 300; // seconds
+const MAX_MUTE = 7 * 24 * 3600;
+const RATE_LIMIT = { count: 5, window: 5000 }; // chat messages and edits per socket
+
+// Chat moderation: mutes and bans, slow mode, per-socket rate limits and a
+// word filter.
+//
+// Mutes and bans are kept on the room (room.mutes, room.bans) and record the
+// viewer's account (if they were logged in) and IP address, so they survive
+// reconnects. A record made for an account matches that account, and guests
+// on its IP, which catches the account coming back logged out. A record made
+// for a guest matches its IP whether or not the viewer has logged in since,
+// so a banned guest can't get around it by registering. A ban without an
+// expiry lasts until it is lifted.
+class ModerationService {
+  constructor(options = {}) {
+    this.clientIps = new Map(); // socket id -> IP address (kept off the viewer objects clients see)
+    this.rates = new Map(); // socket id -> timestamps of recent messages
+    this.lastMessages = new Map(); // roomId:identity -> time of the last message, for slow mode
+    this.blockedWords = options.wordFilterPath ? loadWordList(options.wordFilterPath) : [];
+    this.wordPattern = this.blockedWords.length
+      ? new RegExp(`\\b(${this.blockedWords.map(escapeRegExp).join('|')})\\b`, 'gi')
+      : null;
+  }
+
+  setClientIp(socketId, ip) {
+    this.clientIps.set(socketId, ip);
+  }
+
+  // Who a viewer ({ id, accountId }) is for mutes, bans and slow mode
+  identify(viewer) {
+    return { accountId: viewer.accountId || null, ip: this.clientIps.get(viewer.id) || null };
+  }
+
+  matches(record, identity) {
+    if (record.accountId && identity.accountId) {
+      return record.accountId === identity.accountId;
+    }
+    return Boolean(record.ip) && record.ip === identity.ip;
+  }
+
+  isActive(record) {
+    return !record.expiresAt || record.expiresAt > Date.now();
+  }
+
+  // Moderators can't act on the host, and only the host can act on co-hosts
+  requireCanModerate(actor, target) {
+    if (target === actor) {
+      throw new Error("You can't do that to yourself");
+    }
+    if (target.role === 'host' || (target.role === 'cohost' && actor && actor.role !== 'host')) {
+      throw new Error('Only the host can moderate co-hosts, and nobody can moderate the host');
+    }
+  }
+
+  mute(room, target, duration, by) {
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_MUTE) {
+      throw new Error(`Mute duration must be between 1 second and ${MAX_MUTE / 86400} days`);
+    }
+
+    this.unmute(room, target);
+    const mute = {
+      id: uuidv4(),
+      ...this.identify(target),
+      username: target.username,
+      by: by || null,
+      expiresAt: Date.now() + duration * 1000
+    };
+    room.mutes = [...this.getMutes(room), mute];
+    return mute;
+  }
+
+  unmute(room, target) {
+    const identity = this.identify(target);
+    room.mutes = this.getMutes(room).filter(m => !this.matches(m, identity));
+  }
+
+  removeMute(room, muteId) {
+    const mutes = this.getMutes(room);
+    if (!mutes.some(m => m.id === muteId)) {
+      throw new Error('Mute not found');
+    }
+    room.mutes = mutes.filter(m => m.id !== muteId);
+  }
+
+  getMute(room, viewer) {
+    const identity = this.identify(viewer);
+    return this.getMutes(room).find(m => this.matches(m, identity)) || null;
+  }
+
+  // Active mutes (expired ones are dropped)
+  getMutes(room) {
+    room.mutes = (room.mutes || []).filter(m => this.isActive(m));
+    return room.mutes;
+  }
+
+  // duration in seconds, or null for a ban that doesn't expire
+  ban(room, target, duration, by) {
+    if (duration !== null && (!Number.isInteger(duration) || duration < 1)) {
+      throw new Error('Ban duration must be a whole number of seconds, or null for a permanent ban');
+    }
+
+    const ban = {
+      id: uuidv4(),
+      ...this.identify(target),
+      username: target.username,
+      by: by || null,
+      createdAt: new Date(),
+      expiresAt: duration === null ? null : Date.now() + duration * 1000
+    };
+    room.bans = [...this.getBans(room), ban];
+    return ban;
+  }
+
+  unban(room, banId) {
+    const bans = this.getBans(room);
+    if (!bans.some(b => b.id === banId)) {
+      throw new Error('Ban not found');
+    }
+    room.bans = bans.filter(b => b.id !== banId);
+  }
+
+  getBan(room, identity) {
+    return this.getBans(room).find(b => this.matches(b, identity)) || null;
+  }
+
+  getBans(room) {
+    room.bans = (room.bans || []).filter(b => this.isActive(b));
+    return room.bans;
+  }
+
+  setSlowMode(room, seconds) {
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_SLOW_MODE) {
+      throw new Error(`Slow mode must be a whole number of seconds between 0 and ${MAX_SLOW_MODE}`);
+    }
+    room.slowMode = seconds;
+  }
+
+  // Returns null if the viewer may send a chat message now, otherwise why
+  // not and how many seconds until they may. Moderators skip slow mode but
+  // not the rate limit.
+  checkSend(room, viewer, { isModerator = false, isChat = true } = {}) {
+    const muted = this.checkMute(room, viewer);
+    if (muted) {
+      return muted;
+    }
+
+    const now = Date.now();
+    const recent = (this.rates.get(viewer.id) || []).filter(t => t > now - RATE_LIMIT.window);
+    if (recent.length >= RATE_LIMIT.count) {
+      this.rates.set(viewer.id, recent);
+      return { message: 'You are sending messages too fast', retryAfter: Math.ceil((recent[0] + RATE_LIMIT.window - now) / 1000) };
+    }
+
+    // Per account or connection, not IP, so people sharing a network aren't slowed down together
+    const slowKey = `${room.id}:${viewer.accountId || viewer.id}`;
+    if (isChat && room.slowMode && !isModerator) {
+      const wait = (this.lastMessages.get(slowKey) || 0) + room.slowMode * 1000 - now;
+      if (wait > 0) {
+        return { message: `Slow mode is on: one message every ${room.slowMode} seconds`, retryAfter: Math.ceil(wait / 1000) };
+      }
+    }
+
+    recent.push(now);
+    this.rates.set(viewer.id, recent);
+    if (isChat) this.lastMessages.set(slowKey, now);
+    return null;
+  }
+
+  // Like checkSend, for things muted viewers can't do that have their own rate limit
+  checkMute(room, viewer) {
+    const mute = this.getMute(room, viewer);
+    return mute ? { message: 'You are muted', retryAfter: Math.ceil((mute.expiresAt - Date.now()) / 1000) } : null;
+  }
+
+  forgetSocket(socketId) {
+    this.clientIps.delete(socketId);
+    this.rates.delete(socketId);
+  }
+
+  forgetRoom(roomId) {
+    for (const key of this.lastMessages.keys()) {
+      if (key.startsWith(`${roomId}:`)) this.lastMessages.delete(key);
+    }
+  }
+
+  // Blocked words are replaced by asterisks
+  filterText(text) {
+    return this.wordPattern ? text.replace(this.wordPattern, word => '*'.repeat(word.length)) : text;
+  }
+
+  deleteMessage(room, messageId) {
+    if (!room.chat.some(m => m.id === messageId)) {
+      throw new Error('Message not found');
+    }
+    room.chat = room.chat.filter(m => m.id !== messageId);
+  }
+
+  clearChat(room) {
+    room.chat = [];
+  }
+
+  // Moderation state for hosts and the admin panel. IPs stay on the server;
+  // mutes list the viewers in the room they apply to instead.
+  describe(room) {
+    const strip = ({ ip, accountId, ...record }) => ({ ...record, byAccount: Boolean(accountId) });
+    return {
+      slowMode: room.slowMode || 0,
+      mutes: this.getMutes(room).map(mute => ({
+        ...strip(mute),
+        viewerIds: room.viewers.filter(v => this.matches(mute, this.identify(v))).map(v => v.id)
+      })),
+      bans: this.getBans(room).map(strip)
+    };
+  }
+}
+
+// One word or phrase per line; empty lines and lines starting with # are skipped
+function loadWordList(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  try {
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  } catch (error) {
+    console.error(`Failed to load the word filter from ${filePath}:`, error.message);
+    return [];
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { ModerationService, MAX_SLOW_MODE, MAX_MUTE };
@@ -0,0 +1,156 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_ITEMS = 100;
+const MAX_INTERMISSION = 600; // seconds
+
+// Room playlists. room.playlist is an ordered list of { id, movieId } items
+// and room.currentItemId the one playing; room.movieId and room.movie always
+// follow the current item. Only transcoded movies can be queued.
+//
+// Between items the room can wait room.intermission seconds before the next
+// one starts; those timers live here and are not persisted.
+class PlaylistService {
+  constructor(movies) {
+    this.movies = movies;
+    this.intermissions = new Map(); // roomId -> { timer, endsAt }
+  }
+
+  createItem(movieId, addedBy) {
+    this.getPlayableMovie(movieId);
+    return { id: uuidv4(), movieId, addedBy: addedBy || null };
+  }
+
+  // A movie being transcoded again keeps playing its earlier outputs
+  isPlayable(movie) {
+    return Boolean(movie.hlsUrl) || (movie.qualities || []).length > 0;
+  }
+
+  getPlayableMovie(movieId) {
+    const movie = this.movies.get(movieId);
+    if (!movie) {
+      throw new Error('Movie not found');
+    }
+    if (!this.isPlayable(movie)) {
+      throw new Error('Movie transcoding not completed');
+    }
+    return movie;
+  }
+
+  add(room, movieId, actor) {
+    if (room.playlist.length >= MAX_ITEMS) {
+      throw new Error(`Playlists hold at most ${MAX_ITEMS} items`);
+    }
+
+    const item = this.createItem(movieId, actor && actor.username);
+    room.playlist.push(item);
+    return item;
+  }
+
+  remove(room, itemId) {
+    const item = this.requireItem(room, itemId);
+    if (item.id === room.currentItemId) {
+      throw new Error('The current item cannot be removed');
+    }
+
+    room.playlist = room.playlist.filter(i => i !== item);
+  }
+
+  move(room, itemId, index) {
+    const item = this.requireItem(room, itemId);
+    if (!Number.isInteger(index) || index < 0 || index >= room.playlist.length) {
+      throw new Error('Invalid playlist position');
+    }
+
+    room.playlist = room.playlist.filter(i => i !== item);
+    room.playlist.splice(index, 0, item);
+  }
+
+  setIntermission(room, seconds) {
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_INTERMISSION) {
+      throw new Error(`Intermission must be a whole number of seconds between 0 and ${MAX_INTERMISSION}`);
+    }
+    room.intermission = seconds;
+  }
+
+  getCurrent(room) {
+    return room.playlist.find(i => i.id === room.currentItemId) || null;
+  }
+
+  // The item after the current one, if any
+  getNext(room) {
+    const index = room.playlist.findIndex(i => i.id === room.currentItemId);
+    return room.playlist[index + 1] || null;
+  }
+
+  // Make an item the current one. The caller resets the playback state.
+  setCurrent(room, itemId) {
+    const item = this.requireItem(room, itemId);
+    room.currentItemId = item.id;
+    room.movieId = item.movieId;
+    room.movie = this.getPlayableMovie(item.movieId);
+    return item;
+  }
+
+  // Wait room.intermission seconds, then call onEnd(). A new intermission
+  // or cancelIntermission() replaces a running one.
+  startIntermission(room, onEnd) {
+    this.cancelIntermission(room.id);
+
+    const seconds = room.intermission || 0;
+    const intermission = { endsAt: Date.now() + seconds * 1000 };
+    intermission.timer = setTimeout(() => {
+      this.intermissions.delete(room.id);
+      onEnd();
+    }, seconds * 1000);
+
+    this.intermissions.set(room.id, intermission);
+    return intermission;
+  }
+
+  getIntermission(roomId) {
+    return this.intermissions.get(roomId) || null;
+  }
+
+  cancelIntermission(roomId) {
+    const intermission = this.intermissions.get(roomId);
+    if (intermission) {
+      clearTimeout(intermission.timer);
+      this.intermissions.delete(roomId);
+    }
+  }
+
+  // Items as sent to clients, with what viewers need to show them
+  describeItems(room) {
+    return room.playlist.map((item) => {
+      const movie = this.movies.get(item.movieId) || {};
+      return {
+        id: item.id,
+        movieId: item.movieId,
+        name: movie.originalName,
+        duration: movie.mediaInfo ? movie.mediaInfo.duration : null,
+        posterUrl: movie.posterUrl || null,
+        addedBy: item.addedBy
+      };
+    });
+  }
+
+  describe(room) {
+    const intermission = this.getIntermission(room.id);
+    return {
+      items: this.describeItems(room),
+      currentItemId: room.currentItemId,
+      intermission: room.intermission || 0,
+      intermissionEndsAt: intermission ? intermission.endsAt : null
+    };
+  }
+
+  requireItem(room, itemId) {
+    const item = room.playlist.find(i => i.id === itemId);
+    if (!item) {
+      throw new Error('Playlist item not found');
+    }
+    return item;
+  }
+}
+
+module.exports = { PlaylistService, MAX_INTERMISSION };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+
+const VIDEO_CODECS = ['h264', 'hevc', 'av1'];
+const RATE_CONTROLS = ['vbr', 'cbr', 'crf'];
+const X26X_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+const DEFAULT_PRESETS = [
+  { name: '360p', resolution: '640x360', videoBitrate: '800k', audioBitrate: '96k' },
+  { name: '480p', resolution: '854x480', videoBitrate: '1400k', audioBitrate: '128k' },
+  { name: '720p', resolution: '1280x720', videoBitrate: '2800k', audioBitrate: '128k' },
+  { name: '1080p', resolution: '1920x1080', videoBitrate: '5000k', audioBitrate: '192k' },
+  { name: '1440p', resolution: '2560x1440', videoBitrate: '9000k', audioBitrate: '192k' },
+  { name: '2160p', resolution: '3840x2160', videoBitrate: '16000k', audioBitrate: '192k' },
+  { name: 'audio', type: 'audio', audioBitrate: '64k' }
+];
+
+// "2800k" / "5M" / 800000 -> bits per second
+function parseBitrate(value) {
+  if (typeof value === 'number') return value;
+
+  const match = /^(\d+(?:\.\d+)?)([kKmM]?)$/.exec(String(value || '').trim());
+  if (!match) return NaN;
+
+  const multiplier = { k: 1000, m: 1000000 }[match[2].toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Validate a preset definition and fill in defaults. Throws on invalid input.
+function normalizePreset(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Preset must be an object');
+  }
+
+  const name = String(input.name || '').trim();
+  if (!/^[a-zA-Z0-9_-]{1,32}$/.test(name)) {
+    throw new Error('Preset name must be 1-32 letters, numbers, dashes or underscores');
+  }
+
+  const type = input.type || 'video';
+  if (type !== 'video' && type !== 'audio') {
+    throw new Error('Preset type must be "video" or "audio"');
+  }
+
+  const audioBitrate = input.audioBitrate || '128k';
+  if (!(parseBitrate(audioBitrate) > 0)) {
+    throw new Error(`Invalid audio bitrate: ${audioBitrate}`);
+  }
+
+  if (type === 'audio') {
+    return { name, type, audioBitrate };
+  }
+
+  if (!/^\d{2,5}x\d{2,5}$/.test(input.resolution || '')) {
+    throw new Error('Video presets need a resolution like 1280x720');
+  }
+
+  const videoCodec = input.videoCodec || 'h264';
+  if (!VIDEO_CODECS.includes(videoCodec)) {
+    throw new Error(`Video codec must be one of: ${VIDEO_CODECS.join(', ')}`);
+  }
+
+  const rateControl = input.rateControl || 'vbr';
+  if (!RATE_CONTROLS.includes(rateControl)) {
+    throw new Error(`Rate control must be one of: ${RATE_CONTROLS.join(', ')}`);
+  }
+
+  const videoBitrate = input.videoBitrate;
+  if (!(parseBitrate(videoBitrate) > 0)) {
+    throw new Error(`Invalid video bitrate: ${videoBitrate}`);
+  }
+
+  // AV1 (SVT-AV1) takes a numeric speed, x264/x265 take a named preset
+  const encoderPreset = String(input.encoderPreset || (videoCodec === 'av1' ? '8' : 'medium'));
+  if (videoCodec === 'av1' ? !/^\d{1,2}$/.test(encoderPreset) : !X26X_PRESETS.includes(encoderPreset)) {
+    throw new Error(`Invalid encoder preset for ${videoCodec}: ${encoderPreset}`);
+  }
+
+  const preset = {
+    name,
+    type,
+    resolution: input.resolution,
+    videoCodec,
+    rateControl,
+    videoBitrate,
+    encoderPreset,
+    audioBitrate
+  };
+
+  if (rateControl === 'crf') {
+    const crf = input.crf === undefined ? 23 : Number(input.crf);
+    if (!Number.isInteger(crf) || crf < 0 || crf > 63) {
+      throw new Error('CRF must be an integer between 0 and 63');
+    }
+    preset.crf = crf;
+  }
+
+  return preset;
+}
+
+// Quality presets come from the config file (or the built-in ladder when
+// there is none) and can be extended or overridden through the admin API.
+class PresetService {
+  constructor(configPath) {
+    this.configPath = configPath;
+    this.configPresets = new Map();
+    this.customPresets = new Map();
+    this.loadConfig();
+  }
+
+  loadConfig() {
+    let definitions = DEFAULT_PRESETS;
+
+    if (this.configPath && fs.existsSync(this.configPath)) {
+      try {
+        const content = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        definitions = Array.isArray(content) ? content : content.presets;
+        console.log(`Loaded quality presets from ${this.configPath}`);
+      } catch (error) {
+        console.error(`Failed to read presets from ${this.configPath}, using defaults:`, error.message);
+        definitions = DEFAULT_PRESETS;
+      }
+    }
+
+    this.configPresets.clear();
+    for (const definition of definitions) {
+      try {
+        const preset = normalizePreset(definition);
+        this.configPresets.set(preset.name, preset);
+      } catch (error) {
+        console.error(`Skipping invalid preset ${definition && definition.name}:`, error.message);
+      }
+    }
+  }
+
+  restore(savedPresets) {
+    for (const definition of savedPresets) {
+      try {
+        const preset = normalizePreset(definition);
+        this.customPresets.set(preset.name, preset);
+      } catch (error) {
+        console.error(`Skipping invalid saved preset ${definition && definition.name}:`, error.message);
+      }
+    }
+  }
+
+  get(name) {
+    return this.customPresets.get(name) || this.configPresets.get(name);
+  }
+
+  // Video presets from smallest to largest, then audio-only presets
+  list() {
+    const names = new Set([...this.configPresets.keys(), ...this.customPresets.keys()]);
+    const presets = Array.from(names).map(name => ({
+      ...this.get(name),
+      source: this.customPresets.has(name) ? 'custom' : 'config'
+    }));
+
+    const pixels = (preset) => {
+      if (preset.type === 'audio') return Infinity;
+      const [width, height] = preset.resolution.split('x').map(Number);
+      return width * height;
+    };
+
+    return presets.sort((a, b) => pixels(a) - pixels(b) || parseBitrate(a.audioBitrate) - parseBitrate(b.audioBitrate));
+  }
+
+  set(input) {
+    const preset = normalizePreset(input);
+    this.customPresets.set(preset.name, preset);
+    return preset;
+  }
+
+  // Only custom presets can be deleted; deleting a custom override of a
+  // config preset reverts to the config definition
+  delete(name) {
+    if (!this.customPresets.has(name)) {
+      throw new Error(this.configPresets.has(name)
+        ? 'Only presets added from the admin panel can be deleted'
+        : 'Preset not found');
+    }
+    this.customPresets.delete(name);
+  }
+}
+
+module.exports = { PresetService, normalizePreset, parseBitrate, DEFAULT_PRESETS };
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+// The reactions rooms get unless they pick their own
+const DEFAULT_REACTIONS = ['😀', '😂', '😍', '😮', '😢', '😱', '👍', '👎', '❤️', '🔥', '👏', '🎉'];
+const MAX_ROOM_REACTIONS = 24;
+const RATE_LIMIT = { count: 10, window: 5000 }; // reactions per viewer
+const BATCH_WINDOW = 500; // ms during which a room's reactions are collected into one broadcast
+const IMAGE_TYPES = { '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+// Which reactions a room allows, custom image reactions uploaded by admins,
+// and per-viewer rate limits. Reactions are written as the emoji itself or
+// as ":name:" for a custom one. A room's allowlist is room.allowedReactions
+// (unset means the defaults).
+//
+// Reactions aren't broadcast one by one: each room's reactions are collected
+// for BATCH_WINDOW and sent as one event per reaction with a count, so a
+// crowd reacting at once doesn't flood every client.
+class ReactionService {
+  constructor(imageDir) {
+    this.imageDir = imageDir;
+    this.custom = new Map(); // name -> { name, fileName, url, createdAt }
+    this.rates = new Map(); // socket id -> timestamps of recent reactions
+    this.batches = new Map(); // roomId -> { reactions: Map key -> { count, position }, timer }
+  }
+
+  restore(savedReactions) {
+    for (const reaction of savedReactions) {
+      this.custom.set(reaction.name, reaction);
+    }
+  }
+
+  list() {
+    return { defaults: DEFAULT_REACTIONS, custom: Array.from(this.custom.values()) };
+  }
+
+  // Moves an uploaded image into the reactions directory
+  addCustom(name, filePath, originalName) {
+    if (typeof name !== 'string' || !/^[a-z0-9_-]{2,32}$/.test(name)) {
+      throw new Error('Name must be 2-32 lowercase letters, numbers, dashes or underscores');
+    }
+    if (this.custom.has(name)) {
+      throw new Error(`A reaction called :${name}: already exists`);
+    }
+
+    const extension = path.extname(originalName || '').toLowerCase();
+    if (!IMAGE_TYPES[extension]) {
+      throw new Error('Reaction images must be PNG, GIF, WebP or JPEG');
+    }
+
+    const fileName = `${name}${extension}`;
+    fs.mkdirSync(this.imageDir, { recursive: true });
+    // Copy rather than rename: uploads and data can be on different volumes
+    fs.copyFileSync(filePath, path.join(this.imageDir, fileName));
+    fs.rmSync(filePath, { force: true });
+
+    const reaction = { name, fileName, url: `/reactions/${fileName}`, createdAt: new Date() };
+    this.custom.set(name, reaction);
+    return reaction;
+  }
+
+  // Also takes the reaction out of every room that allowed it
+  removeCustom(name, rooms) {
+    const reaction = this.custom.get(name);
+    if (!reaction) {
+      throw new Error('Reaction not found');
+    }
+
+    this.custom.delete(name);
+    fs.rmSync(path.join(this.imageDir, reaction.fileName), { force: true });
+
+    const key = `:${name}:`;
+    const changed = [];
+    for (const room of rooms) {
+      if (room.allowedReactions && room.allowedReactions.includes(key)) {
+        room.allowedReactions = room.allowedReactions.filter(k => k !== key);
+        if (room.allowedReactions.length === 0) room.allowedReactions = null;
+        changed.push(room);
+      }
+    }
+    return changed;
+  }
+
+  isKnown(key) {
+    const custom = /^:([a-z0-9_-]+):$/.exec(key);
+    return custom ? this.custom.has(custom[1]) : DEFAULT_REACTIONS.includes(key);
+  }
+
+  getAllowed(room) {
+    return room.allowedReactions || DEFAULT_REACTIONS;
+  }
+
+  isAllowed(room, key) {
+    return typeof key === 'string' && this.getAllowed(room).includes(key) && this.isKnown(key);
+  }
+
+  // keys: default emojis and ":name:" custom reactions, or null for the defaults
+  setAllowed(room, keys) {
+    if (keys === null) {
+      room.allowedReactions = null;
+      return;
+    }
+    if (!Array.isArray(keys) || keys.length === 0 || keys.length > MAX_ROOM_REACTIONS) {
+      throw new Error(`Pick between 1 and ${MAX_ROOM_REACTIONS} reactions`);
+    }
+
+    const unknown = keys.find(key => typeof key !== 'string' || !this.isKnown(key));
+    if (unknown !== undefined) {
+      throw new Error(`Unknown reaction: ${unknown}`);
+    }
+    room.allowedReactions = [...new Set(keys)];
+  }
+
+  // The room's reactions for players: custom ones come with their image URL
+  describe(room) {
+    return this.getAllowed(room).filter(key => this.isKnown(key)).map(key => {
+      const custom = /^:([a-z0-9_-]+):$/.exec(key);
+      return custom ? { key, name: custom[1], url: this.custom.get(custom[1]).url } : { key };
+    });
+  }
+
+  // Seconds until the viewer may react again (0 if they may now)
+  checkRate(viewerId) {
+    const now = Date.now();
+    const recent = (this.rates.get(viewerId) || []).filter(t => t > now - RATE_LIMIT.window);
+    if (recent.length >= RATE_LIMIT.count) {
+      this.rates.set(viewerId, recent);
+      return Math.ceil((recent[0] + RATE_LIMIT.window - now) / 1000);
+    }
+
+    recent.push(now);
+    this.rates.set(viewerId, recent);
+    return 0;
+  }
+
+  // Adds a reaction to the room's current batch. flush(batch) is called at
+  // the end of the batch with [{ key, count, position }], position being
+  // where the movie was at the first of them.
+  queue(roomId, key, position, flush) {
+    let batch = this.batches.get(roomId);
+    if (!batch) {
+      batch = {
+        reactions: new Map(),
+        timer: setTimeout(() => {
+          this.batches.delete(roomId);
+          flush(Array.from(batch.reactions, ([batchKey, { count, position: at }]) => ({ key: batchKey, count, position: at })));
+        }, BATCH_WINDOW)
+      };
+      this.batches.set(roomId, batch);
+    }
+
+    const entry = batch.reactions.get(key) || { count: 0, position };
+    entry.count++;
+    batch.reactions.set(key, entry);
+  }
+
+  forgetSocket(socketId) {
+    this.rates.delete(socketId);
+  }
+
+  forgetRoom(roomId) {
+    const batch = this.batches.get(roomId);
+    if (batch) {
+      clearTimeout(batch.timer);
+      this.batches.delete(roomId);
+    }
+  }
+}
+
+module.exports = { ReactionService, DEFAULT_REACTIONS, IMAGE_TYPES };
@@ -0,0 +1,200 @@
+const { v4: uuidv4 } = require('uuid');
+
+const CONTROL_MODES = ['host', 'anyone', 'vote'];
+const PLAYBACK_ACTIONS = ['play', 'pause', 'seek'];
+
+// Room roles and playback authorization. Viewers are 'host', 'cohost' or
+// 'viewer'; every room has at most one host while anyone is watching.
+//
+// Control modes:
+//   'host'   - only the host and co-hosts control playback
+//   'anyone' - every viewer controls playback
+//   'vote'   - hosts control playback; viewers propose an action and it
+//              runs once more than half of the room approves
+//
+// Skipping to the next playlist item can be put to a vote in every mode.
+class RoleService {
+  constructor(options = {}) {
+    this.voteDuration = options.voteDuration || 20000;
+    this.votes = new Map(); // roomId -> vote
+  }
+
+  // The first viewer of a room without a host becomes the host
+  assignRole(room, viewer) {
+    viewer.role = room.viewers.some(v => v.role === 'host') ? 'viewer' : 'host';
+    return viewer.role;
+  }
+
+  // Hand the room to the longest-present co-host (or viewer) when the host
+  // leaves. Returns the new host, if any.
+  handleLeave(room, viewer) {
+    if (this.votes.has(room.id)) {
+      this.votes.get(room.id).approvals.delete(viewer.id);
+    }
+
+    if (room.controllerId === viewer.id) {
+      room.controllerId = null;
+    }
+
+    if (viewer.role !== 'host' || room.viewers.length === 0) {
+      return null;
+    }
+
+    const successor = room.viewers.find(v => v.role === 'cohost') || room.viewers[0];
+    successor.role = 'host';
+    return successor;
+  }
+
+  getControlMode(room) {
+    return room.controlMode || 'host';
+  }
+
+  canControl(room, viewer) {
+    if (!viewer) return false;
+    return this.getControlMode(room) === 'anyone' || viewer.role === 'host' || viewer.role === 'cohost';
+  }
+
+  setControlMode(room, actor, mode) {
+    this.requireHost(actor);
+    if (!CONTROL_MODES.includes(mode)) {
+      throw new Error(`Control mode must be one of: ${CONTROL_MODES.join(', ')}`);
+    }
+
+    room.controlMode = mode;
+    if (mode !== 'vote') {
+      this.cancelVote(room.id);
+    }
+  }
+
+  transferHost(room, actor, targetId) {
+    this.requireHost(actor);
+    const target = this.requireViewer(room, targetId);
+    if (target === actor) {
+      throw new Error('You are already the host');
+    }
+
+    actor.role = 'cohost';
+    target.role = 'host';
+  }
+
+  promote(room, actor, targetId) {
+    this.requireHost(actor);
+    const target = this.requireViewer(room, targetId);
+    if (target.role !== 'viewer') {
+      throw new Error(`${target.username} is already a ${target.role}`);
+    }
+
+    target.role = 'cohost';
+  }
+
+  demote(room, actor, targetId) {
+    this.requireHost(actor);
+    const target = this.requireViewer(room, targetId);
+    if (target.role !== 'cohost') {
+      throw new Error(`${target.username} is not a co-host`);
+    }
+
+    target.role = 'viewer';
+  }
+
+  // Start a vote for a viewer's playback action or a skip. The proposer
+  // counts as the first approval; call checkVote() once the vote has been
+  // announced. onEnd(vote, passed) runs once, when the vote passes or expires.
+  startVote(room, proposer, action, currentTime, onEnd) {
+    if (action !== 'skip' && this.getControlMode(room) !== 'vote') {
+      throw new Error('Room is not in vote mode');
+    }
+    if (action !== 'skip' && !PLAYBACK_ACTIONS.includes(action)) {
+      throw new Error('Invalid playback action');
+    }
+    if (this.votes.has(room.id)) {
+      throw new Error('A vote is already in progress');
+    }
+
+    const vote = {
+      id: uuidv4(),
+      roomId: room.id,
+      action,
+      currentTime,
+      proposerId: proposer.id,
+      proposer: proposer.username,
+      approvals: new Set([proposer.id]),
+      expiresAt: Date.now() + this.voteDuration,
+      onEnd
+    };
+
+    vote.timer = setTimeout(() => this.endVote(vote, false), this.voteDuration);
+    this.votes.set(room.id, vote);
+
+    return vote;
+  }
+
+  castVote(room, viewer, voteId) {
+    const vote = this.votes.get(room.id);
+    if (!vote || vote.id !== voteId) {
+      throw new Error('Vote not found');
+    }
+
+    vote.approvals.add(viewer.id);
+    return vote;
+  }
+
+  // Pass the vote once more than half of the viewers still in the room approve
+  checkVote(room, vote) {
+    const present = room.viewers.filter(v => vote.approvals.has(v.id)).length;
+    if (present > room.viewers.length / 2) {
+      this.endVote(vote, true);
+    }
+  }
+
+  endVote(vote, passed) {
+    if (this.votes.get(vote.roomId) !== vote) return;
+
+    clearTimeout(vote.timer);
+    this.votes.delete(vote.roomId);
+    vote.onEnd(vote, passed);
+  }
+
+  cancelVote(roomId) {
+    const vote = this.votes.get(roomId);
+    if (vote) {
+      clearTimeout(vote.timer);
+      this.votes.delete(roomId);
+    }
+  }
+
+  // Vote as sent to clients
+  describeVote(room, vote) {
+    return {
+      id: vote.id,
+      action: vote.action,
+      currentTime: vote.currentTime,
+      proposer: vote.proposer,
+      approvals: vote.approvals.size,
+      needed: Math.floor(room.viewers.length / 2) + 1,
+      expiresAt: vote.expiresAt
+    };
+  }
+
+  requireHost(actor) {
+    if (!actor || actor.role !== 'host') {
+      throw new Error('Only the host can do that');
+    }
+  }
+
+  requireCohost(actor) {
+    if (!actor || (actor.role !== 'host' && actor.role !== 'cohost')) {
+      throw new Error('Only the host and co-hosts can do that');
+    }
+  }
+
+  requireViewer(room, viewerId) {
+    const viewer = room.viewers.find(v => v.id === viewerId);
+    if (!viewer) {
+      throw new Error('Viewer not found');
+    }
+    return viewer;
+  }
+}
+
+module.exports = { RoleService, CONTROL_MODES };
@@ -0,0 +1,103 @@
+const bcrypt = require('bcryptjs');
+const { sign, verifySignature } = require('./secretService');
+
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+const MIN_INVITE_LIFETIME = 60; // seconds
+const MAX_INVITE_LIFETIME = 30 * 24 * 3600;
+
+// Who may find and join a room:
+//   'public'   - listed on the homepage, anyone can join
+//   'unlisted' - not listed, anyone with the link can join
+//   'private'  - not listed; joining takes the room password (if it has one)
+//                or a signed invite link that has not expired
+// Independently of visibility, room.requireLogin only admits viewers who are
+// logged in to an account.
+class RoomAccessService {
+  constructor(secret) {
+    this.secret = secret;
+  }
+
+  getVisibility(room) {
+    return room.visibility || 'public';
+  }
+
+  isListed(room) {
+    return this.getVisibility(room) === 'public';
+  }
+
+  // Only private rooms keep a password. An empty password removes it;
+  // undefined leaves it as it is.
+  setVisibility(room, visibility, password) {
+    if (!VISIBILITIES.includes(visibility)) {
+      throw new Error(`Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    if (password !== undefined && password !== null && typeof password !== 'string') {
+      throw new Error('Password must be a string');
+    }
+
+    room.visibility = visibility;
+    if (visibility !== 'private' || password === '') {
+      delete room.passwordHash;
+    } else if (password) {
+      room.passwordHash = bcrypt.hashSync(password, 10);
+    }
+  }
+
+  setRequireLogin(room, requireLogin) {
+    if (typeof requireLogin !== 'boolean') {
+      throw new Error('requireLogin must be true or false');
+    }
+    room.requireLogin = requireLogin;
+  }
+
+  // Invite tokens are "<roomId>.<expiry>.<signature>", signed with the
+  // server's secret so they can't be forged or extended
+  createInvite(room, lifetime) {
+    if (!Number.isInteger(lifetime) || lifetime < MIN_INVITE_LIFETIME || lifetime > MAX_INVITE_LIFETIME) {
+      throw new Error(`Invite lifetime must be between ${MIN_INVITE_LIFETIME} seconds and ${MAX_INVITE_LIFETIME / 86400} days`);
+    }
+
+    const expiresAt = Date.now() + lifetime * 1000;
+    const payload = `${room.id}.${expiresAt}`;
+    return { token: `${payload}.${sign(this.secret, payload)}`, expiresAt };
+  }
+
+  verifyInvite(room, token) {
+    const [roomId, expiresAt, signature] = String(token || '').split('.');
+    if (roomId !== room.id || !(Number(expiresAt) > Date.now())) {
+      return false;
+    }
+    return verifySignature(this.secret, `${roomId}.${expiresAt}`, signature);
+  }
+
+  // Returns null if the viewer may join, otherwise why not
+  checkJoin(room, { password, invite, account } = {}) {
+    if (room.requireLogin && !account) {
+      return { message: 'Log in to join this room', loginRequired: true };
+    }
+    if (this.getVisibility(room) !== 'private' || this.verifyInvite(room, invite)) {
+      return null;
+    }
+
+    if (!room.passwordHash) {
+      return { message: 'This room is private. Ask the host for an invite link.', passwordRequired: false };
+    }
+    if (typeof password === 'string' && password && bcrypt.compareSync(password, room.passwordHash)) {
+      return null;
+    }
+    return {
+      message: password ? 'Wrong room password' : 'This room needs a password',
+      passwordRequired: true
+    };
+  }
+
+  describeAccess(room) {
+    return {
+      visibility: this.getVisibility(room),
+      hasPassword: Boolean(room.passwordHash),
+      requireLogin: Boolean(room.requireLogin)
+    };
+  }
+}
+
+module.exports = { RoomAccessService, VISIBILITIES };
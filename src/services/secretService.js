@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Key for signing links and tokens. SECRET_KEY wins; otherwise a random key
+// is generated once and kept next to the saved data, so signed links keep
+// working across restarts.
+function loadSecret(dataDir) {
+  if (process.env.SECRET_KEY) {
+    return process.env.SECRET_KEY;
+  }
+
+  const keyPath = path.join(dataDir, 'secret.key');
+  try {
+    if (fs.existsSync(keyPath)) {
+      return fs.readFileSync(keyPath, 'utf8').trim();
+    }
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(keyPath, secret, { mode: 0o600 });
+    console.log(`Generated a new secret key in ${keyPath}`);
+    return secret;
+  } catch (error) {
+    console.error('Failed to load the secret key, signed links will not survive a restart:', error.message);
+    return crypto.randomBytes(32).toString('hex');
+  }
+}
+
+// HMAC signature of a payload, safe to put in URLs
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function verifySignature(secret, payload, signature) {
+  const expected = Buffer.from(sign(secret, payload));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { loadSecret, sign, verifySignature };
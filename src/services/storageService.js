@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file backend - the whole database lives in a single file that is
+// replaced atomically on every save
+class JsonFileBackend {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    return content.trim() ? JSON.parse(content) : null;
+  }
+
+  write(data) {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+// Memory backend - nothing survives a restart (useful for development)
+class MemoryBackend {
+  constructor() {
+    this.data = null;
+  }
+
+  read() {
+    return this.data;
+  }
+
+  write(data) {
+    this.data = JSON.parse(JSON.stringify(data));
+  }
+}
+
+const backends = {
+  json: (options) => new JsonFileBackend(path.join(options.dataDir, 'db.json')),
+  memory: () => new MemoryBackend()
+};
+
+class StorageService {
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.saveDelay = options.saveDelay || 1000;
+    this.saveTimer = null;
+    this.collections = new Map();
+  }
+
+  // Register a Map to be persisted under the given collection name.
+  // serialize turns a live record into a plain JSON-safe object.
+  register(name, map, serialize = (record) => record) {
+    this.collections.set(name, { map, serialize });
+  }
+
+  // Returns the saved records for every collection (empty arrays if none)
+  load() {
+    let data = null;
+
+    try {
+      data = this.backend.read();
+    } catch (error) {
+      console.error('Failed to read saved data:', error);
+    }
+
+    const result = {};
+    for (const name of this.collections.keys()) {
+      result[name] = (data && Array.isArray(data[name])) ? data[name] : [];
+    }
+    return result;
+  }
+
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const data = { savedAt: new Date() };
+    for (const [name, { map, serialize }] of this.collections) {
+      data[name] = Array.from(map.values()).map(serialize);
+    }
+
+    try {
+      this.backend.write(data);
+    } catch (error) {
+      console.error('Failed to save data:', error);
+    }
+  }
+
+  // Debounced save so bursts of changes only hit the backend once
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+  }
+
+  flush() {
+    if (this.saveTimer) {
+      this.save();
+    }
+  }
+}
+
+function createStorage(options = {}) {
+  const backendName = options.backend || 'json';
+  const createBackend = backends[backendName];
+
+  if (!createBackend) {
+    throw new Error(`Unknown storage backend: ${backendName}`);
+  }
+
+  return new StorageService(createBackend(options), options);
+}
+
+module.exports = { StorageService, JsonFileBackend, MemoryBackend, createStorage };
@@ -1,50 +1,253 @@
-class SyncService {
+const EventEmitter = require('events');
+
+const DEFAULT_SYNC_TOLERANCE = 2; // seconds
+const CLOCK_SAMPLES = 8; // round trips kept per client
+const CLOCK_BURST = 5; // quick round trips right after connecting
+const CLOCK_PING_INTERVAL = 15000;
+const PLAYBACK_ACTIONS = ['play', 'pause', 'seek', 'rate', 'schedule'];
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 2;
+const MAX_START_DELAY = 300; // seconds
+const BUFFER_STATES = ['waiting', 'ready'];
+const RESUME_COUNTDOWN = 3000; // ms between everyone being ready and playback resuming
+// Event each kind of playback change is broadcast as
+const SYNC_EVENTS = { play: 'syncPlay', pause: 'syncPause', seek: 'syncSeek', rate: 'syncRate', schedule: 'syncPlay' };
+
+// Emits:
+//   'stateChanged' (roomId) - a room's playback state changed
+class SyncService extends EventEmitter {
   constructor(io) {
+    super();
     this.io = io;
     this.rooms = new Map();
+    this.clients = new Map(); // socket id -> clock estimate
     this.syncInterval = null;
+    this.clockInterval = null;
 
     // Start periodic sync broadcasts
     this.startSyncBroadcasts();
   }
 
+  // Rooms' playback state lives here and only changes through
+  // updatePlaybackState(). Every change bumps the sequence number (seq).
   createRoom(roomId, roomData) {
     this.rooms.set(roomId, {
       id: roomId,
-      playbackState: roomData.playbackState || {
+      playbackState: {
         isPlaying: false,
         currentTime: 0,
-        lastUpdate: Date.now()
+        playbackRate: 1,
+        ...roomData.playbackState,
+        startAt: null, // server time a scheduled start begins playing
+        lastUpdate: Date.now(),
+        seq: 0
       },
-      syncTolerance: 2, // seconds of allowed drift
+      syncTolerance: roomData.syncTolerance || DEFAULT_SYNC_TOLERANCE, // seconds of allowed drift
+      // Pause everyone while any viewer is buffering
+      waitForAll: Boolean(roomData.waitForAll),
+      buffers: new Map(), // viewer id -> { state, bufferedAhead }
+      autoPaused: false,
+      resumeTimer: null,
       lastSyncBroadcast: Date.now()
     });
   }
 
   deleteRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room) {
+      clearTimeout(room.resumeTimer);
+    }
     this.rooms.delete(roomId);
   }
 
-  updatePlaybackState(roomId, state) {
+  // Room sync settings, as saved with the room and sent to viewers
+  getSettings(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+
+    return { syncTolerance: room.syncTolerance, waitForAll: room.waitForAll };
+  }
+
+  setWaitForAll(roomId, enabled) {
     const room = this.rooms.get(roomId);
     if (!room) return;
 
+    room.waitForAll = Boolean(enabled);
+    if (room.waitForAll) {
+      this.checkBuffering(room);
+    } else {
+      room.autoPaused = false;
+      this.cancelResume(room);
+    }
+  }
+
+  updatePlaybackState(roomId, state) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+
     room.playbackState = {
       ...room.playbackState,
       ...state,
-      lastUpdate: Date.now()
+      lastUpdate: Date.now(),
+      seq: room.playbackState.seq + 1
     };
+    this.emit('stateChanged', roomId);
+    return this.getPlaybackState(roomId);
+  }
+
+  // Apply a playback change: 'play', 'pause', 'seek', 'rate' (change.playbackRate)
+  // or 'schedule' (start playing change.delay seconds from now, at the same
+  // server-clock instant for everyone). Throws on an invalid rate or delay.
+  //
+  // baseSeq is the seq of the state the sender was looking at; a change based
+  // on an older state arrived late or out of order and is rejected (returns
+  // null) instead of undoing newer changes. Pass no baseSeq for changes that
+  // must apply regardless (passed votes).
+  applyAction(roomId, action, change, baseSeq) {
+    const room = this.rooms.get(roomId);
+    if (!room || !PLAYBACK_ACTIONS.includes(action)) return null;
+    if (baseSeq !== undefined && baseSeq !== room.playbackState.seq) return null;
+
+    const state = { currentTime: change.currentTime };
+    if (action === 'play' || action === 'pause') {
+      state.isPlaying = action === 'play';
+      state.startAt = null;
+    } else if (action === 'rate') {
+      if (!(change.playbackRate >= MIN_PLAYBACK_RATE && change.playbackRate <= MAX_PLAYBACK_RATE)) {
+        throw new Error(`Playback rate must be between ${MIN_PLAYBACK_RATE}x and ${MAX_PLAYBACK_RATE}x`);
+      }
+      state.playbackRate = change.playbackRate;
+    } else if (action === 'schedule') {
+      if (!(change.delay >= 1 && change.delay <= MAX_START_DELAY)) {
+        throw new Error(`Start delay must be between 1 and ${MAX_START_DELAY} seconds`);
+      }
+      state.isPlaying = true;
+      state.startAt = Date.now() + change.delay * 1000;
+    }
+
+    // Someone took over from an automatic pause
+    room.autoPaused = false;
+    this.cancelResume(room);
+
+    return this.updatePlaybackState(roomId, state);
+  }
+
+  // Apply a playback change from a viewer's socket (sender) and broadcast it.
+  // The sender's player is already there, so it only gets the new seq; a
+  // scheduled start goes to everyone. A change without a valid seq, or based
+  // on an outdated state, lost a race: the sender is shown where the room
+  // actually is and null is returned. With no sender (passed votes) the
+  // change always applies.
+  handleAction(roomId, action, change, sender, seq) {
+    const state = sender && !Number.isInteger(seq) ? null : this.applyAction(roomId, action, change, sender ? seq : undefined);
+    if (!state) {
+      if (sender) {
+        sender.emit('syncState', this.getPlaybackState(roomId));
+      }
+      return null;
+    }
+
+    const event = SYNC_EVENTS[action];
+    if (sender && action !== 'schedule') {
+      this.io.to(roomId).except(sender.id).emit(event, state);
+      sender.emit('syncAck', state);
+    } else {
+      this.io.to(roomId).emit(event, state);
+    }
+    return state;
+  }
+
+  // Viewers report 'waiting' when their player stalls and 'ready' once it
+  // can play again, along with how many seconds they have buffered ahead
+  setBufferStatus(roomId, viewerId, { state, bufferedAhead }) {
+    const room = this.rooms.get(roomId);
+    if (!room || !BUFFER_STATES.includes(state)) return;
+
+    const previous = room.buffers.get(viewerId);
+    room.buffers.set(viewerId, { state, bufferedAhead: Number.isFinite(bufferedAhead) ? bufferedAhead : null });
+
+    if (!previous || previous.state !== state) {
+      this.emitBuffering(room);
+      this.checkBuffering(room);
+    }
+  }
+
+  removeViewer(roomId, viewerId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    const buffer = room.buffers.get(viewerId);
+    room.buffers.delete(viewerId);
+    if (buffer && buffer.state === 'waiting') {
+      this.emitBuffering(room);
+      this.checkBuffering(room);
+    }
+  }
+
+  // Viewers holding up the room
+  getWaitingViewers(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+
+    return Array.from(room.buffers.entries())
+      .filter(([, buffer]) => buffer.state === 'waiting')
+      .map(([id, buffer]) => ({ id, bufferedAhead: buffer.bufferedAhead }));
+  }
+
+  emitBuffering(room) {
+    this.io.to(room.id).emit('bufferingUpdated', { waiting: this.getWaitingViewers(room.id) });
+  }
+
+  // In wait-for-everyone rooms, pause while anyone is buffering and resume
+  // after a short countdown once everyone is ready. A manual play, pause or
+  // seek in the meantime cancels the automatic resume.
+  checkBuffering(room) {
+    if (!room.waitForAll) return;
+
+    const waiting = this.getWaitingViewers(room.id).length > 0;
+
+    if (waiting && room.playbackState.isPlaying) {
+      const state = this.updatePlaybackState(room.id, {
+        isPlaying: false,
+        currentTime: this.getCurrentTime(room.id),
+        startAt: null
+      });
+      room.autoPaused = true;
+      this.io.to(room.id).emit('syncPause', { ...state, reason: 'buffering' });
+    } else if (waiting && room.resumeTimer) {
+      this.cancelResume(room);
+      this.io.to(room.id).emit('resumeCancelled');
+    } else if (!waiting && room.autoPaused && !room.resumeTimer) {
+      const resumeAt = Date.now() + RESUME_COUNTDOWN;
+      room.resumeTimer = setTimeout(() => {
+        room.resumeTimer = null;
+        room.autoPaused = false;
+        const state = this.updatePlaybackState(room.id, { isPlaying: true });
+        this.io.to(room.id).emit('syncPlay', state);
+      }, RESUME_COUNTDOWN);
+      this.io.to(room.id).emit('resumeCountdown', { resumeAt });
+    }
+  }
+
+  cancelResume(room) {
+    if (room.resumeTimer) {
+      clearTimeout(room.resumeTimer);
+      room.resumeTimer = null;
+    }
   }
 
   getCurrentTime(roomId) {
     const room = this.rooms.get(roomId);
     if (!room) return 0;
 
-    let currentTime = room.playbackState.currentTime;
+    const state = room.playbackState;
+    let currentTime = state.currentTime;
 
-    if (room.playbackState.isPlaying) {
-      const elapsed = (Date.now() - room.playbackState.lastUpdate) / 1000;
-      currentTime += elapsed;
+    // A scheduled start holds the position until its start time
+    if (state.isPlaying) {
+      const since = Math.max(state.lastUpdate, state.startAt || 0);
+      const elapsed = Math.max(0, Date.now() - since) / 1000;
+      currentTime += elapsed * state.playbackRate;
     }
 
     return currentTime;
@@ -57,20 +260,91 @@ class SyncService {
     return {
       isPlaying: room.playbackState.isPlaying,
       currentTime: this.getCurrentTime(roomId),
-      serverTime: Date.now()
+      playbackRate: room.playbackState.playbackRate,
+      startAt: room.playbackState.startAt > Date.now() ? room.playbackState.startAt : null,
+      serverTime: Date.now(),
+      seq: room.playbackState.seq,
+      syncTolerance: room.syncTolerance
     };
   }
 
+  // Playback state as saved to disk
+  getSnapshot(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+
+    return {
+      isPlaying: room.playbackState.isPlaying,
+      currentTime: this.getCurrentTime(roomId),
+      playbackRate: room.playbackState.playbackRate,
+      lastUpdate: Date.now()
+    };
+  }
+
+  // NTP-style clock sync. The server pings each client with its own clock and
+  // the client answers with its clock; the round trip gives the latency and
+  // the offset between the two. The sample with the shortest round trip is
+  // the most accurate, so that one is sent back to the client.
+  addClient(socket) {
+    this.clients.set(socket.id, { socket, samples: [], offset: 0, rtt: null });
+    this.pingClient(socket.id);
+  }
+
+  removeClient(socketId) {
+    this.clients.delete(socketId);
+  }
+
+  pingClient(socketId) {
+    const client = this.clients.get(socketId);
+    if (client) {
+      client.socket.emit('clockPing', { serverTime: Date.now() });
+    }
+  }
+
+  handleClockPong(socketId, { serverTime, clientTime }) {
+    const client = this.clients.get(socketId);
+    const now = Date.now();
+    if (!client || !Number.isFinite(serverTime) || !Number.isFinite(clientTime) || serverTime > now) return;
+
+    const rtt = now - serverTime;
+    client.samples.push({ rtt, offset: this.calculateTimeAdjustment(clientTime, serverTime, rtt) });
+    if (client.samples.length > CLOCK_SAMPLES) {
+      client.samples.shift();
+    }
+
+    const best = client.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    client.offset = best.offset;
+    client.rtt = best.rtt;
+    client.socket.emit('clockSync', { offset: client.offset, rtt: client.rtt });
+
+    // A few quick round trips after connecting give a usable estimate at once
+    if (client.samples.length < CLOCK_BURST) {
+      this.pingClient(socketId);
+    }
+  }
+
+  getClientClock(socketId) {
+    const client = this.clients.get(socketId);
+    return client ? { offset: client.offset, rtt: client.rtt } : null;
+  }
+
   startSyncBroadcasts() {
     // Broadcast sync state every 5 seconds to keep viewers in sync
-    this.syncInterval = setInterval(() => {
-      this.rooms.forEach((room, roomId) => {
-        if (room.playbackState.isPlaying) {
-          const state = this.getPlaybackState(roomId);
-          this.io.to(roomId).emit('syncHeartbeat', state);
-        }
-      });
-    }, 5000);
+    this.syncInterval = setInterval(() => this.broadcastHeartbeats(), 5000);
+
+    // Keep clock estimates fresh; clocks drift and routes change
+    this.clockInterval = setInterval(() => this.pingClients(), CLOCK_PING_INTERVAL);
+  }
+
+  // Paused rooms are included so viewers that missed a change still converge
+  broadcastHeartbeats() {
+    this.rooms.forEach((room, roomId) => {
+      this.io.to(roomId).emit('syncHeartbeat', this.getPlaybackState(roomId));
+    });
+  }
+
+  pingClients() {
+    this.clients.forEach((client, socketId) => this.pingClient(socketId));
   }
 
   stopSyncBroadcasts() {
@@ -78,9 +352,15 @@ class SyncService {
       clearInterval(this.syncInterval);
       this.syncInterval = null;
     }
+    if (this.clockInterval) {
+      clearInterval(this.clockInterval);
+      this.clockInterval = null;
+    }
   }
 
-  // Calculate time adjustment for network latency
+  // Offset (ms) to add to the client's clock to get the server's, from a
+  // ping sent at serverTime that the client answered at clientTime, with
+  // networkLatency being the full round trip
   calculateTimeAdjustment(clientTime, serverTime, networkLatency) {
     const halfLatency = networkLatency / 2;
     return serverTime - clientTime + halfLatency;
@@ -0,0 +1,104 @@
+const MAX_REACTIONS = 10000; // batches of reactions per movie
+const MAX_COMMENTS = 2000; // per movie
+const HEATMAP_BUCKETS = 100;
+
+// Reactions and chat messages anchored to a position in the movie, kept per
+// movie across rooms. Reactions feed the seek bar heatmap; comments are
+// replayed to later audiences at the moment they were written. Only comments
+// from public rooms are kept, so chat from unlisted and private rooms never
+// shows up anywhere else.
+class TimelineService {
+  constructor() {
+    this.timelines = new Map(); // movieId -> { movieId, reactions, comments }
+  }
+
+  restore(savedTimelines) {
+    for (const timeline of savedTimelines) {
+      this.timelines.set(timeline.movieId, {
+        movieId: timeline.movieId,
+        reactions: timeline.reactions || [],
+        comments: timeline.comments || []
+      });
+    }
+  }
+
+  // Movies without a timeline yet read as empty
+  get(movieId) {
+    return this.timelines.get(movieId) || { movieId, reactions: [], comments: [] };
+  }
+
+  getOrCreate(movieId) {
+    if (!this.timelines.has(movieId)) {
+      this.timelines.set(movieId, { movieId, reactions: [], comments: [] });
+    }
+    return this.timelines.get(movieId);
+  }
+
+  addReaction(movieId, reaction) {
+    const timeline = this.getOrCreate(movieId);
+    timeline.reactions.push({
+      emoji: reaction.emoji,
+      count: reaction.count || 1,
+      position: reaction.position,
+      timestamp: reaction.timestamp
+    });
+    if (timeline.reactions.length > MAX_REACTIONS) {
+      timeline.reactions = timeline.reactions.slice(-MAX_REACTIONS);
+    }
+  }
+
+  addComment(movieId, roomId, message) {
+    const timeline = this.getOrCreate(movieId);
+    const { id, username, verified, position, timestamp } = message;
+    timeline.comments.push({ id, roomId, username, verified, message: message.message, position, timestamp });
+    if (timeline.comments.length > MAX_COMMENTS) {
+      timeline.comments = timeline.comments.slice(-MAX_COMMENTS);
+    }
+  }
+
+  // Moderators deleting a message also take it out of the replay
+  removeComment(messageId) {
+    for (const timeline of this.timelines.values()) {
+      timeline.comments = timeline.comments.filter(c => c.id !== messageId);
+    }
+  }
+
+  editComment(messageId, text) {
+    for (const timeline of this.timelines.values()) {
+      const comment = timeline.comments.find(c => c.id === messageId);
+      if (comment) comment.message = text;
+    }
+  }
+
+  removeRoomComments(roomId) {
+    for (const timeline of this.timelines.values()) {
+      timeline.comments = timeline.comments.filter(c => c.roomId !== roomId);
+    }
+  }
+
+  // Reaction counts for equal slices of the movie, or null if its length
+  // isn't known
+  getHeatmap(movieId, duration) {
+    if (!duration) return null;
+
+    const counts = new Array(HEATMAP_BUCKETS).fill(0);
+    for (const reaction of this.get(movieId).reactions) {
+      counts[bucketOf(reaction.position, duration)] += reaction.count || 1;
+    }
+    return { duration, counts };
+  }
+
+  // Comments from other rooms, in movie order
+  getReplay(movieId, roomId) {
+    return this.get(movieId).comments
+      .filter(c => c.roomId !== roomId)
+      .map(({ roomId: commentRoomId, ...comment }) => comment)
+      .sort((a, b) => a.position - b.position);
+  }
+}
+
+function bucketOf(position, duration) {
+  return Math.min(HEATMAP_BUCKETS - 1, Math.max(0, Math.floor((position / duration) * HEATMAP_BUCKETS)));
+}
+
+module.exports = { TimelineService, HEATMAP_BUCKETS };
@@ -0,0 +1,218 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Job queue around TranscodeService. Emits:
+//   'jobUpdated' (job)            - any status change
+//   'progress'   (job, progress)  - progress of a running job
+//   'completed'  (job, qualities)
+//   'failed'     (job, error)
+class TranscodeQueue extends EventEmitter {
+  constructor(transcodeService, movies, options = {}) {
+    super();
+    this.transcodeService = transcodeService;
+    this.movies = movies;
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.jobs = new Map();
+    this.running = new Map(); // jobId -> { command, cancelled }
+  }
+
+  // Re-queue saved jobs. Jobs that were running when the server stopped
+  // resume from the first quality that isn't finished.
+  restore(savedJobs) {
+    for (const job of savedJobs) {
+      if (job.status === 'running') {
+        job.status = 'queued';
+        job.progress = null;
+      }
+      this.jobs.set(job.id, job);
+
+      const movie = this.movies.get(job.movieId);
+      if (movie && job.status === 'queued') {
+        movie.transcodeStatus = 'queued';
+      }
+    }
+
+    this.processNext();
+  }
+
+  enqueue(movieId, qualities) {
+    if (this.getActiveJob(movieId)) {
+      throw new Error('Movie already has a transcode job in progress');
+    }
+
+    const job = {
+      id: uuidv4(),
+      movieId,
+      qualities,
+      completedQualities: [],
+      status: 'queued',
+      progress: null,
+      error: null,
+      attempts: 0,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    // The movie keeps playing its current outputs until this job replaces them
+    this.transcodeService.discardStaging(movieId);
+    this.updateMovie(job, { transcodeStatus: 'queued', transcodeError: null });
+    this.emit('jobUpdated', job);
+    this.processNext();
+
+    return job;
+  }
+
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      throw new Error(`Cannot cancel a ${job.status} job`);
+    }
+
+    const wasRunning = job.status === 'running';
+    job.status = 'cancelled';
+    job.finishedAt = new Date();
+    this.updateMovie(job, { transcodeStatus: 'cancelled' });
+
+    const worker = this.running.get(jobId);
+    if (worker) {
+      worker.cancelled = true;
+      if (worker.command) {
+        worker.command.kill('SIGKILL');
+      }
+    }
+
+    this.emit('jobUpdated', job);
+    if (!wasRunning) {
+      this.processNext();
+    }
+
+    return job;
+  }
+
+  retry(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    if (job.status !== 'failed' && job.status !== 'cancelled') {
+      throw new Error(`Cannot retry a ${job.status} job`);
+    }
+    if (this.getActiveJob(job.movieId)) {
+      throw new Error('Movie already has a transcode job in progress');
+    }
+
+    job.status = 'queued';
+    job.error = null;
+    job.progress = null;
+    job.finishedAt = null;
+
+    // Move to the back of the queue
+    this.jobs.delete(jobId);
+    this.jobs.set(jobId, job);
+
+    this.updateMovie(job, { transcodeStatus: 'queued', transcodeError: null });
+    this.emit('jobUpdated', job);
+    this.processNext();
+
+    return job;
+  }
+
+  getJobs() {
+    return Array.from(this.jobs.values());
+  }
+
+  getActiveJob(movieId) {
+    return this.getJobs().find(job => job.movieId === movieId && ACTIVE_STATUSES.includes(job.status));
+  }
+
+  processNext() {
+    while (this.running.size < this.concurrency) {
+      const job = this.getJobs().find(j => j.status === 'queued');
+      if (!job) return;
+      this.runJob(job);
+    }
+  }
+
+  async runJob(job) {
+    const movie = this.movies.get(job.movieId);
+    const worker = { command: null, cancelled: false };
+    this.running.set(job.id, worker);
+
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date();
+    this.updateMovie(job, { transcodeStatus: 'processing' });
+    this.emit('jobUpdated', job);
+
+    try {
+      if (!movie) {
+        throw new Error('Movie not found');
+      }
+
+      const result = await this.transcodeService.transcodeMovie(movie, job.qualities, (progress) => {
+        job.progress = progress;
+        movie.transcodeProgress = progress;
+        this.emit('progress', job, progress);
+      }, {
+        completedQualities: job.completedQualities,
+        onQualityComplete: (quality) => {
+          job.completedQualities.push(quality);
+          this.emit('jobUpdated', job);
+        },
+        onCommand: (command) => {
+          worker.command = command;
+        },
+        isCancelled: () => worker.cancelled
+      });
+
+      // Cancelled during the last step: the current outputs stay, and a retry starts over
+      if (worker.cancelled) {
+        this.transcodeService.discardStaging(job.movieId);
+        job.completedQualities = [];
+        return;
+      }
+
+      this.transcodeService.publish(job.movieId);
+      job.status = 'completed';
+      job.finishedAt = new Date();
+      this.updateMovie(job, {
+        transcodeStatus: 'completed',
+        ...result,
+        hlsUrl: this.transcodeService.getMasterPlaylistUrl(job.movieId)
+      });
+      this.emit('jobUpdated', job);
+      this.emit('completed', job, result.qualities);
+    } catch (error) {
+      if (!worker.cancelled) {
+        job.status = 'failed';
+        job.error = error.message;
+        job.finishedAt = new Date();
+        this.updateMovie(job, { transcodeStatus: 'failed', transcodeError: error.message });
+        this.emit('jobUpdated', job);
+        this.emit('failed', job, error);
+      }
+    } finally {
+      this.running.delete(job.id);
+      if (movie) {
+        delete movie.transcodeProgress;
+      }
+      this.processNext();
+    }
+  }
+
+  updateMovie(job, changes) {
+    const movie = this.movies.get(job.movieId);
+    if (movie) {
+      Object.assign(movie, changes);
+    }
+  }
+}
+
+module.exports = TranscodeQueue;
@@ -1,210 +1,923 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const { PresetService, parseBitrate } = require('./presetService');
+
+const VIDEO_ENCODERS = {
+  h264: 'libx264',
+  hevc: 'libx265',
+  av1: 'libsvtav1'
+};
+
+// Subtitle codecs ffmpeg can convert to WebVTT. Bitmap formats (PGS, VobSub)
+// would need OCR and are skipped.
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Parse an ffprobe rational like "24000/1001" or "25/1"
+function parseFrameRate(rate) {
+  if (!rate) return null;
+
+  const [numerator, denominator = '1'] = String(rate).split('/');
+  const fps = parseFloat(numerator) / parseFloat(denominator);
+
+  return Number.isFinite(fps) && fps > 0 ? Math.round(fps * 1000) / 1000 : null;
+}
+
+// RFC 6381 codec string for an ffprobe stream, as used in CODECS attributes
+function formatCodec(stream) {
+  const hex = (value) => Number(value).toString(16).padStart(2, '0').toUpperCase();
+
+  switch (stream.codec_name) {
+    case 'h264': {
+      const profiles = { 'Constrained Baseline': '42E0', Baseline: '4200', Main: '4D00', High: '6400' };
+      const profile = profiles[stream.profile] || '6400';
+      return `avc1.${profile}${hex(stream.level > 0 ? stream.level : 40)}`;
+    }
+    case 'hevc': {
+      const profile = stream.profile === 'Main 10' ? '2.4' : '1.6';
+      return `hvc1.${profile}.L${stream.level > 0 ? stream.level : 120}.B0`;
+    }
+    case 'av1': {
+      const level = String(stream.level >= 0 ? stream.level : 8).padStart(2, '0');
+      const depth = stream.pix_fmt && stream.pix_fmt.includes('10') ? '10' : '08';
+      return `av01.0.${level}M.${depth}`;
+    }
+    case 'aac': {
+      const profiles = { LC: '2', 'HE-AAC': '5', 'HE-AACv2': '29' };
+      return `mp4a.40.${profiles[stream.profile] || '2'}`;
+    }
+    default:
+      return null;
+  }
+}
+
+// Seconds -> WebVTT timestamp (HH:MM:SS.mmm)
+function formatTimestamp(seconds) {
+  const date = new Date(Math.round(seconds * 1000));
+  return date.toISOString().substring(11, 23);
+}
+
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+const FALLBACK_MAX_HEIGHT = 1080; // default ladder for sources that couldn't be probed
 
 class TranscodeService {
-  constructor(outputDir) {
+  constructor(outputDir, options = {}) {
     this.outputDir = outputDir;
-    this.qualityPresets = {
-      '360p': {
-        resolution: '640x360',
-        videoBitrate: '800k',
-        audioBitrate: '96k',
-        name: '360p'
-      },
-      '480p': {
-        resolution: '854x480',
-        videoBitrate: '1400k',
-        audioBitrate: '128k',
-        name: '480p'
-      },
-      '720p': {
-        resolution: '1280x720',
-        videoBitrate: '2800k',
-        audioBitrate: '128k',
-        name: '720p'
-      },
-      '1080p': {
-        resolution: '1920x1080',
-        videoBitrate: '5000k',
-        audioBitrate: '192k',
-        name: '1080p'
-      }
-    };
+    this.segmentType = options.segmentType === 'fmp4' ? 'fmp4' : 'mpegts';
+    this.segmentDuration = options.segmentDuration || 6;
+    this.keepMp4 = options.keepMp4 !== false;
+    this.thumbnailInterval = options.thumbnailInterval || 10;
+    this.presets = options.presets || new PresetService();
   }
 
-  async transcodeMovie(movie, qualities, onProgress) {
-    const movieDir = path.join(this.outputDir, movie.id);
+  // Encodes every requested quality in a single ffmpeg pass that writes the
+  // HLS ladder directly, then (optionally) remuxes progressive MP4s from it.
+  //
+  // Everything is written to the movie's staging directory, so the outputs
+  // of an earlier transcode keep playing until publish() swaps the new ones
+  // in. URLs and MP4 paths in the result are already the published ones.
+  //
+  // options:
+  //   completedQualities - results from an earlier run; those qualities are skipped
+  //   onQualityComplete  - called with each newly finished quality
+  //   onCommand          - called with every ffmpeg command before it runs
+  //   isCancelled        - checked between steps to stop early
+  async transcodeMovie(movie, qualities, onProgress, options = {}) {
+    const {
+      completedQualities: previousResults = [],
+      onQualityComplete,
+      onCommand,
+      isCancelled = () => false
+    } = options;
+    const movieDir = this.getStagingDir(movie.id);
+    const hlsDir = path.join(movieDir, 'hls');
 
     // Create directory for transcoded files
-    if (!fs.existsSync(movieDir)) {
-      fs.mkdirSync(movieDir, { recursive: true });
+    if (!fs.existsSync(hlsDir)) {
+      fs.mkdirSync(hlsDir, { recursive: true });
     }
 
-    const transcodedQualities = [];
+    const results = new Map(previousResults
+      .filter(q => qualities.includes(q.quality))
+      .map(q => [q.quality, q]));
     const totalQualities = qualities.length;
-    let completedQualities = 0;
 
-    for (const quality of qualities) {
-      const preset = this.qualityPresets[quality];
-      if (!preset) {
-        console.warn(`Unknown quality preset: ${quality}`);
-        continue;
-      }
+    // Older probes don't list every audio and subtitle stream
+    const info = movie.mediaInfo && movie.mediaInfo.audioTracks ? movie.mediaInfo : await this.getVideoInfo(movie.path);
+    const hasAlternateAudio = info.audioTracks.length > 1;
 
-      try {
-        const outputPath = await this.transcodeToQuality(
-          movie.path,
-          movieDir,
-          movie.id,
-          preset,
-          (progress) => {
-            const overallProgress = ((completedQualities + progress / 100) / totalQualities) * 100;
-            onProgress({
-              currentQuality: quality,
-              qualityProgress: progress,
-              overallProgress: Math.round(overallProgress),
-              completedQualities,
-              totalQualities
-            });
-          }
-        );
+    const presets = qualities
+      .filter(quality => !results.has(quality))
+      .filter(quality => {
+        const preset = this.presets.get(quality);
+        if (!preset) {
+          console.warn(`Unknown quality preset: ${quality}`);
+          return false;
+        }
+        if (preset.type === 'audio' && !info.audio) {
+          console.warn(`Skipping audio-only preset ${quality}: source has no audio`);
+          return false;
+        }
+        return true;
+      })
+      .map(quality => this.presets.get(quality));
 
-        transcodedQualities.push({
-          quality: preset.name,
-          path: outputPath,
-          url: `/transcoded/${movie.id}/${path.basename(outputPath)}`
-        });
+    // Apple HLS only allows HEVC and AV1 in fMP4 segments
+    const needsFmp4 = presets.find(p => p.type === 'video' && p.videoCodec !== 'h264');
+    if (needsFmp4 && this.segmentType !== 'fmp4') {
+      throw new Error(`${needsFmp4.name} uses ${needsFmp4.videoCodec}, which requires HLS_SEGMENT_TYPE=fmp4`);
+    }
+
+    const reportProgress = (currentQuality, qualityProgress, done) => {
+      onProgress({
+        currentQuality,
+        qualityProgress,
+        overallProgress: Math.round((done / totalQualities) * 100),
+        completedQualities: done,
+        totalQualities
+      });
+    };
+
+    if (presets.length > 0) {
+      if (isCancelled()) {
+        throw new Error('Transcoding cancelled');
+      }
 
-        completedQualities++;
+      const done = results.size;
+      const label = presets.map(p => p.name).join(', ');
+
+      await this.encodeHLS(movie.path, hlsDir, presets, info, (progress) => {
+        // The encode is the bulk of the work for every remaining quality
+        const encoded = done + (presets.length * progress) / 100;
         onProgress({
-          currentQuality: quality,
-          qualityProgress: 100,
-          overallProgress: Math.round((completedQualities / totalQualities) * 100),
-          completedQualities,
+          currentQuality: label,
+          qualityProgress: progress,
+          overallProgress: Math.round((encoded / totalQualities) * 100),
+          completedQualities: done,
           totalQualities
         });
-      } catch (error) {
-        console.error(`Failed to transcode ${quality}:`, error);
-        throw error;
+      }, onCommand);
+
+      for (const preset of presets) {
+        if (isCancelled()) {
+          throw new Error('Transcoding cancelled');
+        }
+
+        const isAudioOnly = preset.type === 'audio';
+        const size = isAudioOnly ? null : this.fitResolution(preset, info.video);
+        const result = {
+          quality: preset.name,
+          type: preset.type,
+          resolution: size ? `${size.width}x${size.height}` : null,
+          audioGroup: hasAlternateAudio ? this.getAudioGroupId(preset.audioBitrate) : null,
+          ...await this.measureRendition(path.join(hlsDir, preset.name), preset),
+          playlistUrl: `/transcoded/${movie.id}/hls/${preset.name}/playlist.m3u8`,
+          path: null,
+          url: null
+        };
+
+        if (this.keepMp4 && !isAudioOnly) {
+          const fileName = `${movie.id}_${preset.name}.mp4`;
+          await this.remuxToMp4(
+            path.join(hlsDir, preset.name, 'playlist.m3u8'),
+            path.join(movieDir, fileName),
+            preset.name,
+            onCommand
+          );
+          result.path = path.join(this.outputDir, movie.id, fileName);
+          result.url = `/transcoded/${movie.id}/${fileName}`;
+        }
+
+        results.set(preset.name, result);
+        if (onQualityComplete) {
+          onQualityComplete(result);
+        }
+        reportProgress(preset.name, 100, results.size);
       }
     }
 
-    // Generate HLS playlist for adaptive streaming
-    await this.generateMasterPlaylist(movieDir, movie.id, transcodedQualities);
+    if (isCancelled()) {
+      throw new Error('Transcoding cancelled');
+    }
+
+    const transcodedQualities = qualities.filter(q => results.has(q)).map(q => results.get(q));
+    if (transcodedQualities.length === 0) {
+      throw new Error('No valid qualities to transcode');
+    }
+
+    const embedded = await this.extractSubtitles(movie, info, onCommand, movieDir);
+    if (isCancelled()) {
+      throw new Error('Transcoding cancelled');
+    }
+
+    // Uploaded subtitles are kept across re-transcodes
+    const subtitles = [
+      ...embedded,
+      ...(movie.subtitles || []).filter(s => s.source === 'upload')
+    ];
+
+    const audioTracks = info.audioTracks.map(track => ({
+      index: track.index,
+      language: track.language || 'und',
+      label: track.title || track.language || `Track ${track.index + 1}`,
+      channels: track.channels,
+      isDefault: track.index === info.audio.index
+    }));
+    const audioRenditions = await this.collectAudioRenditions(movie.id, hlsDir, transcodedQualities, audioTracks);
 
-    return transcodedQualities;
+    this.writeSubtitlePlaylists(hlsDir, movie.id, subtitles, info.duration);
+    this.writeMasterPlaylist(hlsDir, transcodedQualities, { subtitles, audioRenditions });
+
+    const images = await this.generateImages(movie, info, onCommand, movieDir, isCancelled);
+    if (isCancelled()) {
+      throw new Error('Transcoding cancelled');
+    }
+
+    return { qualities: transcodedQualities, subtitles, audioTracks, audioRenditions, ...images };
   }
 
-  transcodeToQuality(inputPath, outputDir, movieId, preset, onProgress) {
+  // Default ladder for a source: every preset that doesn't upscale, and at
+  // least the smallest one for sources below the bottom rung
+  // (plus any audio-only presets when the source has audio)
+  getDefaultQualities(info) {
+    const presets = this.presets.list();
+    const video = presets.filter(p => p.type === 'video');
+    const audio = presets.filter(p => p.type === 'audio');
+
+    // Without a probe the source size is unknown: stop at 1080p rather than
+    // upscaling to 4K, and leave out audio-only presets
+    if (!info) {
+      const capped = video.filter(p => Number(p.resolution.split('x')[1]) <= FALLBACK_MAX_HEIGHT);
+      return (capped.length > 0 ? capped : video.slice(0, 1)).map(p => p.name);
+    }
+    if (!info.video) {
+      return info.audio ? audio.map(p => p.name) : [];
+    }
+
+    const fitting = video.filter(p => !this.isUpscale(p, info.video));
+    const ladder = fitting.length > 0 ? fitting : video.slice(0, 1);
+
+    return [...ladder, ...(info.audio ? audio : [])].map(p => p.name);
+  }
+
+  isUpscale(preset, video) {
+    const [maxWidth, maxHeight] = preset.resolution.split('x').map(Number);
+    return video.width < maxWidth && video.height < maxHeight;
+  }
+
+  // Largest size that fits the preset's box while keeping the source aspect
+  // ratio (no padding). Dimensions are kept even for the H.264 encoder.
+  fitResolution(preset, video) {
+    const [maxWidth, maxHeight] = preset.resolution.split('x').map(Number);
+    if (!video || !video.width || !video.height) {
+      return { width: maxWidth, height: maxHeight };
+    }
+
+    const scale = Math.min(maxWidth / video.width, maxHeight / video.height);
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+    return {
+      width: even(video.width * scale),
+      height: even(video.height * scale)
+    };
+  }
+
+  // Single-pass multi-rendition encode. Keyframes are forced on segment
+  // boundaries so every rendition switches cleanly at the same points.
+  encodeHLS(inputPath, hlsDir, presets, info, onProgress, onCommand) {
     return new Promise((resolve, reject) => {
-      const outputFilename = `${movieId}_${preset.name}.mp4`;
-      const outputPath = path.join(outputDir, outputFilename);
+      const isFmp4 = this.segmentType === 'fmp4';
+      const hasAudio = Boolean(info.audio);
 
-      ffmpeg(inputPath)
-        .outputOptions([
-          `-vf scale=${preset.resolution}:force_original_aspect_ratio=decrease,pad=${preset.resolution}:(ow-iw)/2:(oh-ih)/2`,
-          `-c:v libx264`,
-          `-preset medium`,
-          `-b:v ${preset.videoBitrate}`,
-          `-c:a aac`,
-          `-b:a ${preset.audioBitrate}`,
-          `-movflags +faststart`,
-          `-y`
-        ])
-        .output(outputPath)
+      const alternateAudio = this.getAlternateAudio(presets, info);
+
+      // Start every rendition from a clean directory
+      for (const { name } of [...presets, ...alternateAudio]) {
+        const variantDir = path.join(hlsDir, name);
+        fs.rmSync(variantDir, { recursive: true, force: true });
+        fs.mkdirSync(variantDir, { recursive: true });
+      }
+
+      const videoPresets = presets.filter(p => p.type === 'video');
+      const filters = [];
+      if (videoPresets.length > 0) {
+        filters.push(`[0:v]split=${videoPresets.length}${videoPresets.map((p, i) => `[v${i}]`).join('')}`);
+        videoPresets.forEach((preset, i) => {
+          const { width, height } = this.fitResolution(preset, info.video);
+          filters.push(`[v${i}]scale=${width}:${height}[v${i}out]`);
+        });
+      }
+
+      // Video streams are mapped first, then one audio encode per rendition
+      const outputOptions = [];
+      videoPresets.forEach((preset, i) => {
+        outputOptions.push('-map', `[v${i}out]`, ...this.getVideoEncoderOptions(preset, i));
+      });
+
+      const streamMap = [];
+      let audioIndex = 0;
+      let videoIndex = 0;
+      for (const preset of presets) {
+        const streams = [];
+        if (preset.type === 'video') {
+          streams.push(`v:${videoIndex++}`);
+        }
+        if (hasAudio) {
+          outputOptions.push(
+            '-map', `0:a:${info.audio.index || 0}`,
+            `-c:a:${audioIndex} aac`,
+            `-b:a:${audioIndex} ${preset.audioBitrate}`
+          );
+          streams.push(`a:${audioIndex++}`);
+        }
+        streamMap.push(`${streams.join(',')},name:${preset.name}`);
+      }
+
+      for (const rendition of alternateAudio) {
+        outputOptions.push(
+          '-map', `0:a:${rendition.track.index}`,
+          `-c:a:${audioIndex} aac`,
+          `-b:a:${audioIndex} ${rendition.bitrate}`
+        );
+        streamMap.push(`a:${audioIndex++},name:${rendition.name}`);
+      }
+
+      outputOptions.push(
+        '-sc_threshold 0',
+        '-force_key_frames', `expr:gte(t,n_forced*${this.segmentDuration})`,
+        '-f hls',
+        `-hls_time ${this.segmentDuration}`,
+        '-hls_playlist_type vod',
+        '-hls_list_size 0',
+        '-hls_segment_type', isFmp4 ? 'fmp4' : 'mpegts',
+        '-hls_segment_filename', path.join(hlsDir, '%v', isFmp4 ? 'segment%03d.m4s' : 'segment%03d.ts'),
+        '-var_stream_map', streamMap.join(' '),
+        '-y'
+      );
+      if (isFmp4) {
+        outputOptions.push('-hls_fmp4_init_filename', 'init.mp4');
+      }
+
+      const command = ffmpeg(inputPath);
+      if (filters.length > 0) {
+        command.complexFilter(filters.join(';'));
+      }
+      command
+        .outputOptions(outputOptions)
+        .output(path.join(hlsDir, '%v', 'playlist.m3u8'))
         .on('start', (commandLine) => {
-          console.log(`Started transcoding ${preset.name}: ${commandLine}`);
+          console.log(`Started HLS encode: ${commandLine}`);
         })
         .on('progress', (progress) => {
           if (progress.percent) {
-            onProgress(Math.round(progress.percent));
+            onProgress(Math.min(100, Math.round(progress.percent)));
           }
         })
         .on('end', () => {
-          console.log(`Completed transcoding ${preset.name}`);
-          resolve(outputPath);
+          console.log(`Completed HLS encode for ${presets.map(p => p.name).join(', ')}`);
+          resolve();
         })
         .on('error', (err) => {
-          console.error(`Error transcoding ${preset.name}:`, err);
+          console.error('Error encoding HLS:', err);
           reject(err);
-        })
-        .run();
+        });
+
+      if (onCommand) {
+        onCommand(command);
+      }
+      command.run();
     });
   }
 
-  async generateMasterPlaylist(movieDir, movieId, qualities) {
-    // Generate HLS segments for each quality
-    const hlsDir = path.join(movieDir, 'hls');
-    if (!fs.existsSync(hlsDir)) {
-      fs.mkdirSync(hlsDir, { recursive: true });
+  // The default audio track is muxed into every rendition. Other tracks are
+  // encoded as audio-only playlists, once for each audio bitrate in the ladder.
+  getAlternateAudio(presets, info) {
+    if (!info.audio) return [];
+
+    const tracks = info.audioTracks.filter(track => track.index !== info.audio.index);
+    const groupIds = new Set(presets.map(preset => this.getAudioGroupId(preset.audioBitrate)));
+
+    const renditions = [];
+    for (const groupId of groupIds) {
+      for (const track of tracks) {
+        renditions.push({
+          name: `${groupId}-${track.index}`,
+          groupId,
+          bitrate: groupId.substring('audio-'.length),
+          track
+        });
+      }
     }
+    return renditions;
+  }
 
-    const hlsQualities = [];
+  getAudioGroupId(audioBitrate) {
+    return `audio-${Math.round(parseBitrate(audioBitrate) / 1000)}k`;
+  }
+
+  // EXT-X-MEDIA audio renditions for every group used by the ladder. The
+  // default track has no playlist of its own since it is muxed into the variants.
+  async collectAudioRenditions(movieId, hlsDir, qualities, audioTracks) {
+    const groupIds = new Set(qualities.map(q => q.audioGroup).filter(Boolean));
+    const renditions = [];
+
+    for (const groupId of groupIds) {
+      for (const track of audioTracks) {
+        if (track.isDefault) {
+          renditions.push({ groupId, ...track, playlistUrl: null });
+          continue;
+        }
 
-    for (const quality of qualities) {
-      const qualityDir = path.join(hlsDir, quality.quality);
-      if (!fs.existsSync(qualityDir)) {
-        fs.mkdirSync(qualityDir, { recursive: true });
+        const name = `${groupId}-${track.index}`;
+        const variantDir = path.join(hlsDir, name);
+        if (!fs.existsSync(path.join(variantDir, 'playlist.m3u8'))) {
+          console.warn(`Missing alternate audio rendition ${name}`);
+          continue;
+        }
+
+        renditions.push({
+          groupId,
+          ...track,
+          ...await this.measureRendition(variantDir, {
+            name,
+            type: 'audio',
+            audioBitrate: groupId.substring('audio-'.length)
+          }),
+          playlistUrl: `/transcoded/${movieId}/hls/${name}/playlist.m3u8`
+        });
       }
+    }
 
+    return renditions;
+  }
+
+  // Encoder, speed and rate control options for output video stream i
+  getVideoEncoderOptions(preset, i) {
+    const bitrate = parseBitrate(preset.videoBitrate);
+    const options = [
+      `-c:v:${i} ${VIDEO_ENCODERS[preset.videoCodec]}`,
+      `-preset:v:${i} ${preset.encoderPreset}`
+    ];
+
+    switch (preset.rateControl) {
+      case 'cbr':
+        options.push(
+          `-b:v:${i} ${bitrate}`,
+          `-minrate:v:${i} ${bitrate}`,
+          `-maxrate:v:${i} ${bitrate}`,
+          `-bufsize:v:${i} ${bitrate}`
+        );
+        break;
+      case 'crf':
+        // Constant quality, capped at the preset bitrate
+        options.push(
+          `-crf:v:${i} ${preset.crf}`,
+          `-maxrate:v:${i} ${bitrate}`,
+          `-bufsize:v:${i} ${bitrate * 2}`
+        );
+        break;
+      default:
+        options.push(
+          `-b:v:${i} ${bitrate}`,
+          `-maxrate:v:${i} ${Math.round(bitrate * 1.5)}`,
+          `-bufsize:v:${i} ${bitrate * 2}`
+        );
+    }
+
+    if (preset.videoCodec === 'hevc') {
+      // hvc1 tagging is what Apple players expect; x265 ignores -sc_threshold
+      options.push(`-tag:v:${i} hvc1`, `-x265-params:v:${i} scenecut=0`);
+    } else if (preset.videoCodec === 'av1') {
+      options.push(`-svtav1-params:v:${i} scd=0`);
+    }
+
+    return options;
+  }
+
+  // Measure a finished rendition from its segments: peak and average
+  // bitrate, plus the RFC 6381 codec string from a probe of the output
+  async measureRendition(variantDir, preset) {
+    const playlist = fs.readFileSync(path.join(variantDir, 'playlist.m3u8'), 'utf8');
+    const lines = playlist.split('\n').map(line => line.trim());
+
+    let totalBits = 0;
+    let totalDuration = 0;
+    let peak = 0;
+    let firstSegment = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].startsWith('#EXTINF:')) continue;
+
+      const duration = parseFloat(lines[i].substring(8));
+      const segment = lines.slice(i + 1).find(line => line && !line.startsWith('#'));
+      if (!segment || !(duration > 0)) continue;
+
+      const bits = fs.statSync(path.join(variantDir, segment)).size * 8;
+      totalBits += bits;
+      totalDuration += duration;
+      peak = Math.max(peak, bits / duration);
+      firstSegment = firstSegment || segment;
+    }
+
+    const nominal = (preset.type === 'video' ? parseBitrate(preset.videoBitrate) : 0) +
+      parseBitrate(preset.audioBitrate);
+
+    let codecs = null;
+    const probeFile = this.segmentType === 'fmp4' ? 'init.mp4' : firstSegment;
+    if (probeFile) {
       try {
-        await this.generateHLS(quality.path, qualityDir, quality.quality);
-        hlsQualities.push({
-          quality: quality.quality,
-          bandwidth: this.getBandwidth(quality.quality),
-          resolution: this.qualityPresets[quality.quality].resolution,
-          url: `/transcoded/${movieId}/hls/${quality.quality}/playlist.m3u8`
-        });
+        codecs = await this.getCodecString(path.join(variantDir, probeFile));
       } catch (error) {
-        console.error(`Failed to generate HLS for ${quality.quality}:`, error);
+        console.warn(`Could not probe codecs for ${preset.name}:`, error.message);
       }
     }
 
-    // Create master playlist
-    let masterPlaylist = '#EXTM3U\n#EXT-X-VERSION:3\n';
-    for (const q of hlsQualities) {
-      masterPlaylist += `#EXT-X-STREAM-INF:BANDWIDTH=${q.bandwidth},RESOLUTION=${q.resolution}\n`;
-      masterPlaylist += `${q.quality}/playlist.m3u8\n`;
-    }
+    return {
+      bandwidth: Math.round(peak) || nominal,
+      averageBandwidth: totalDuration > 0 ? Math.round(totalBits / totalDuration) : nominal,
+      codecs
+    };
+  }
 
-    fs.writeFileSync(path.join(hlsDir, 'master.m3u8'), masterPlaylist);
+  getCodecString(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, metadata) => {
+        if (err) {
+          reject(err);
+          return;
+        }
 
-    return hlsQualities;
+        const codecs = metadata.streams
+          .map(stream => formatCodec(stream))
+          .filter(Boolean);
+        resolve(codecs.length > 0 ? codecs.join(',') : null);
+      });
+    });
   }
 
-  generateHLS(inputPath, outputDir, quality) {
+  // Progressive MP4 copy of a rendition, remuxed from its HLS playlist
+  remuxToMp4(playlistPath, outputPath, quality, onCommand) {
     return new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .outputOptions([
-          '-c:v copy',
-          '-c:a copy',
-          '-hls_time 10',
-          '-hls_list_size 0',
-          '-hls_segment_filename', path.join(outputDir, 'segment%03d.ts'),
-          '-f hls'
-        ])
-        .output(path.join(outputDir, 'playlist.m3u8'))
+      const outputOptions = ['-c copy', '-movflags +faststart', '-y'];
+      if (this.segmentType !== 'fmp4') {
+        outputOptions.push('-bsf:a aac_adtstoasc');
+      }
+
+      const command = ffmpeg(playlistPath)
+        .outputOptions(outputOptions)
+        .output(outputPath)
         .on('end', () => {
-          console.log(`Generated HLS for ${quality}`);
-          resolve();
+          console.log(`Remuxed MP4 for ${quality}`);
+          resolve(outputPath);
         })
         .on('error', (err) => {
-          console.error(`Error generating HLS for ${quality}:`, err);
+          console.error(`Error remuxing MP4 for ${quality}:`, err);
           reject(err);
-        })
-        .run();
+        });
+
+      if (onCommand) {
+        onCommand(command);
+      }
+      command.run();
+    });
+  }
+
+  // Poster frame and seek-bar thumbnails. These are nice to have, so a
+  // failure is logged instead of failing the transcode, unless it is
+  // ffmpeg being killed by a cancel.
+  async generateImages(movie, info, onCommand, movieDir = path.join(this.outputDir, movie.id), isCancelled = () => false) {
+    const images = { posterUrl: null, thumbnailsUrl: null };
+    if (!info.video) return images;
+
+    try {
+      await this.extractPoster(movie.path, path.join(movieDir, 'poster.jpg'), info, onCommand);
+      images.posterUrl = `/transcoded/${movie.id}/poster.jpg`;
+    } catch (error) {
+      if (isCancelled()) throw error;
+      console.warn(`Could not extract poster for ${movie.id}:`, error.message);
+    }
+    if (isCancelled()) {
+      throw new Error('Transcoding cancelled');
+    }
+
+    try {
+      await this.generateThumbnailSprites(movie.path, movieDir, info, onCommand);
+      images.thumbnailsUrl = `/transcoded/${movie.id}/thumbnails.vtt`;
+    } catch (error) {
+      if (isCancelled()) throw error;
+      console.warn(`Could not generate thumbnails for ${movie.id}:`, error.message);
+    }
+
+    return images;
+  }
+
+  // Taken a tenth of the way in, which usually skips black frames and logos
+  extractPoster(inputPath, outputPath, info, onCommand) {
+    return new Promise((resolve, reject) => {
+      const { width, height } = this.fitResolution({ resolution: '640x360' }, info.video);
+      const position = info.duration > 0 ? Math.min(info.duration * 0.1, 300) : 0;
+
+      const command = ffmpeg(inputPath)
+        .seekInput(position)
+        .outputOptions(['-frames:v 1', `-vf scale=${width}:${height}`, '-q:v 3', '-y'])
+        .output(outputPath)
+        .on('end', () => resolve(outputPath))
+        .on('error', (err) => reject(err));
+
+      if (onCommand) {
+        onCommand(command);
+      }
+      command.run();
+    });
+  }
+
+  // One thumbnail every thumbnailInterval seconds, tiled into sprite sheets,
+  // plus a WebVTT track that maps each interval to its tile (#xywh=)
+  generateThumbnailSprites(inputPath, movieDir, info, onCommand) {
+    const spriteDir = path.join(movieDir, 'thumbnails');
+    fs.rmSync(spriteDir, { recursive: true, force: true });
+    fs.mkdirSync(spriteDir, { recursive: true });
+
+    const interval = this.thumbnailInterval;
+    const { width, height } = this.fitResolution({ resolution: '160x90' }, info.video);
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .noAudio()
+        .outputOptions([
+          '-vf', `fps=1/${interval},scale=${width}:${height},tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`,
+          '-q:v 5',
+          '-sn',
+          '-y'
+        ])
+        .output(path.join(spriteDir, 'sprite%03d.jpg'))
+        .on('end', () => resolve())
+        .on('error', (err) => reject(err));
+
+      if (onCommand) {
+        onCommand(command);
+      }
+      command.run();
+    }).then(() => {
+      const sheets = fs.readdirSync(spriteDir).filter(file => file.endsWith('.jpg')).sort();
+      if (sheets.length === 0) {
+        throw new Error('ffmpeg produced no sprite sheets');
+      }
+
+      const perSheet = SPRITE_COLUMNS * SPRITE_ROWS;
+      const count = Math.min(Math.ceil((info.duration || interval) / interval), sheets.length * perSheet);
+
+      let vtt = 'WEBVTT\n';
+      for (let i = 0; i < count; i++) {
+        const tile = i % perSheet;
+        const x = (tile % SPRITE_COLUMNS) * width;
+        const y = Math.floor(tile / SPRITE_COLUMNS) * height;
+        const end = Math.min((i + 1) * interval, info.duration || (i + 1) * interval);
+
+        vtt += `\n${formatTimestamp(i * interval)} --> ${formatTimestamp(end)}\n`;
+        vtt += `thumbnails/${sheets[Math.floor(i / perSheet)]}#xywh=${x},${y},${width},${height}\n`;
+      }
+
+      fs.writeFileSync(path.join(movieDir, 'thumbnails.vtt'), vtt);
     });
   }
 
-  getBandwidth(quality) {
-    const bandwidths = {
-      '360p': 800000,
-      '480p': 1400000,
-      '720p': 2800000,
-      '1080p': 5000000
+  // Convert every embedded text subtitle stream to WebVTT. A stream that
+  // fails to convert is skipped rather than failing the whole transcode.
+  async extractSubtitles(movie, info, onCommand, movieDir = path.join(this.outputDir, movie.id)) {
+    const subtitlesDir = path.join(movieDir, 'subtitles');
+    fs.mkdirSync(subtitlesDir, { recursive: true });
+
+    for (const file of fs.readdirSync(subtitlesDir)) {
+      if (file.startsWith('embedded-')) {
+        fs.rmSync(path.join(subtitlesDir, file), { force: true });
+      }
+    }
+
+    const subtitles = [];
+    for (const stream of info.subtitles || []) {
+      if (!TEXT_SUBTITLE_CODECS.includes(stream.codec)) {
+        console.warn(`Skipping ${stream.codec} subtitle stream ${stream.index}: not a text format`);
+        continue;
+      }
+
+      const id = `embedded-${stream.index}`;
+      try {
+        await this.convertSubtitle(movie.path, path.join(subtitlesDir, `${id}.vtt`), {
+          streamIndex: stream.index,
+          onCommand
+        });
+      } catch (error) {
+        console.warn(`Could not extract subtitle stream ${stream.index}:`, error.message);
+        continue;
+      }
+
+      subtitles.push({
+        id,
+        source: 'embedded',
+        language: stream.language || 'und',
+        label: stream.title || stream.language || `Track ${subtitles.length + 1}`,
+        forced: stream.forced,
+        isDefault: stream.isDefault,
+        url: this.getSubtitleUrl(movie.id, id)
+      });
+    }
+
+    return subtitles;
+  }
+
+  // Convert a subtitle file (SRT, ASS/SSA or WebVTT), or one subtitle stream
+  // of a video when streamIndex is given, to WebVTT
+  convertSubtitle(inputPath, outputPath, options = {}) {
+    const { streamIndex, onCommand } = options;
+
+    return new Promise((resolve, reject) => {
+      const outputOptions = ['-c:s webvtt', '-y'];
+      if (streamIndex !== undefined) {
+        outputOptions.unshift('-map', `0:s:${streamIndex}`);
+      }
+
+      const command = ffmpeg(inputPath)
+        .outputOptions(outputOptions)
+        .output(outputPath)
+        .on('end', () => resolve(outputPath))
+        .on('error', (err) => reject(err));
+
+      if (onCommand) {
+        onCommand(command);
+      }
+      command.run();
+    });
+  }
+
+  getSubtitleUrl(movieId, subtitleId) {
+    return `/transcoded/${movieId}/subtitles/${subtitleId}.vtt`;
+  }
+
+  // Each WebVTT file is exposed to HLS as a single-segment media playlist
+  writeSubtitlePlaylists(hlsDir, movieId, subtitles, duration) {
+    const playlistDir = path.join(hlsDir, 'subtitles');
+    fs.rmSync(playlistDir, { recursive: true, force: true });
+    if (subtitles.length === 0) return;
+
+    fs.mkdirSync(playlistDir, { recursive: true });
+    const length = duration > 0 ? duration : 86400;
+
+    for (const subtitle of subtitles) {
+      const playlist = [
+        '#EXTM3U',
+        `#EXT-X-TARGETDURATION:${Math.ceil(length)}`,
+        '#EXT-X-VERSION:3',
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        `#EXTINF:${length.toFixed(3)},`,
+        `../../subtitles/${subtitle.id}.vtt`,
+        '#EXT-X-ENDLIST',
+        ''
+      ].join('\n');
+
+      fs.writeFileSync(path.join(playlistDir, `${subtitle.id}.m3u8`), playlist);
+    }
+  }
+
+  getStagingDir(movieId) {
+    return path.join(this.outputDir, '.staging', movieId);
+  }
+
+  // Start a transcode from scratch, not from what an earlier job left behind
+  discardStaging(movieId) {
+    fs.rmSync(this.getStagingDir(movieId), { recursive: true, force: true });
+  }
+
+  // Swap a finished transcode in for the movie's current outputs. Each piece
+  // is moved in with a rename, so viewers get either the old or the new one.
+  // Uploaded subtitles stay; embedded ones are replaced.
+  publish(movieId) {
+    const stagingDir = this.getStagingDir(movieId);
+    const movieDir = path.join(this.outputDir, movieId);
+    fs.mkdirSync(movieDir, { recursive: true });
+
+    const replace = (from, to) => {
+      fs.rmSync(to, { recursive: true, force: true });
+      fs.renameSync(from, to);
     };
-    return bandwidths[quality] || 1000000;
+
+    // MP4s of qualities the new ladder no longer has
+    for (const file of fs.readdirSync(movieDir)) {
+      if (file.endsWith('.mp4') && !fs.existsSync(path.join(stagingDir, file))) {
+        fs.rmSync(path.join(movieDir, file), { force: true });
+      }
+    }
+
+    for (const entry of fs.readdirSync(stagingDir)) {
+      if (entry !== 'subtitles') {
+        replace(path.join(stagingDir, entry), path.join(movieDir, entry));
+      }
+    }
+
+    const subtitlesDir = path.join(movieDir, 'subtitles');
+    const stagedSubtitles = path.join(stagingDir, 'subtitles');
+    fs.mkdirSync(subtitlesDir, { recursive: true });
+    for (const file of fs.readdirSync(subtitlesDir)) {
+      if (file.startsWith('embedded-')) {
+        fs.rmSync(path.join(subtitlesDir, file), { force: true });
+      }
+    }
+    if (fs.existsSync(stagedSubtitles)) {
+      for (const file of fs.readdirSync(stagedSubtitles)) {
+        replace(path.join(stagedSubtitles, file), path.join(subtitlesDir, file));
+      }
+    }
+
+    this.discardStaging(movieId);
+  }
+
+  // Rewrite the HLS playlists of a published transcode after its subtitles change
+  updateSubtitles(movie) {
+    if (!movie.hlsUrl) return;
+
+    const hlsDir = path.join(this.outputDir, movie.id, 'hls');
+    const subtitles = movie.subtitles || [];
+    const duration = movie.mediaInfo ? movie.mediaInfo.duration : null;
+
+    this.writeSubtitlePlaylists(hlsDir, movie.id, subtitles, duration);
+    this.writeMasterPlaylist(hlsDir, movie.qualities, {
+      subtitles,
+      audioRenditions: movie.audioRenditions || []
+    });
+  }
+
+  getMasterPlaylistUrl(movieId) {
+    return `/transcoded/${movieId}/hls/master.m3u8`;
+  }
+
+  writeMasterPlaylist(hlsDir, qualities, options = {}) {
+    const { subtitles = [], audioRenditions = [] } = options;
+    const version = this.segmentType === 'fmp4' ? 7 : 3;
+    const quote = (value) => String(value).replace(/[\r\n"]/g, '');
+
+    // NAME has to be unique within a group
+    const names = new Set();
+    const uniqueName = (groupId, label) => {
+      let name = quote(label);
+      for (let n = 2; names.has(`${groupId}/${name}`); n++) {
+        name = `${quote(label)} (${n})`;
+      }
+      names.add(`${groupId}/${name}`);
+      return name;
+    };
+
+    let masterPlaylist = `#EXTM3U\n#EXT-X-VERSION:${version}\n#EXT-X-INDEPENDENT-SEGMENTS\n`;
+
+    for (const rendition of audioRenditions) {
+      const attributes = [
+        'TYPE=AUDIO',
+        `GROUP-ID="${rendition.groupId}"`,
+        `NAME="${uniqueName(rendition.groupId, rendition.label)}"`,
+        `LANGUAGE="${quote(rendition.language)}"`,
+        `DEFAULT=${rendition.isDefault ? 'YES' : 'NO'}`,
+        'AUTOSELECT=YES'
+      ];
+      if (rendition.channels) attributes.push(`CHANNELS="${rendition.channels}"`);
+      // The default track is muxed into the variant streams
+      if (rendition.playlistUrl) attributes.push(`URI="${rendition.groupId}-${rendition.index}/playlist.m3u8"`);
+
+      masterPlaylist += `#EXT-X-MEDIA:${attributes.join(',')}\n`;
+    }
+
+    for (const subtitle of subtitles) {
+      const attributes = [
+        'TYPE=SUBTITLES',
+        'GROUP-ID="subs"',
+        `NAME="${uniqueName('subs', subtitle.label)}"`,
+        `LANGUAGE="${quote(subtitle.language)}"`,
+        `DEFAULT=${subtitle.isDefault ? 'YES' : 'NO'}`,
+        'AUTOSELECT=YES',
+        `FORCED=${subtitle.forced ? 'YES' : 'NO'}`,
+        `URI="subtitles/${subtitle.id}.m3u8"`
+      ];
+      masterPlaylist += `#EXT-X-MEDIA:${attributes.join(',')}\n`;
+    }
+
+    for (const q of qualities) {
+      // Selecting an alternate track downloads it on top of the variant
+      const alternates = audioRenditions.filter(r => r.groupId === q.audioGroup && r.playlistUrl);
+      const audioBandwidth = Math.max(0, ...alternates.map(r => r.bandwidth));
+      const audioAverage = Math.max(0, ...alternates.map(r => r.averageBandwidth));
+
+      const attributes = [`BANDWIDTH=${q.bandwidth + audioBandwidth}`];
+      if (q.averageBandwidth) attributes.push(`AVERAGE-BANDWIDTH=${q.averageBandwidth + audioAverage}`);
+      if (q.codecs) attributes.push(`CODECS="${q.codecs}"`);
+      if (q.resolution) attributes.push(`RESOLUTION=${q.resolution}`);
+      if (q.audioGroup && audioRenditions.some(r => r.groupId === q.audioGroup)) attributes.push(`AUDIO="${q.audioGroup}"`);
+      if (subtitles.length > 0) attributes.push('SUBTITLES="subs"');
+
+      masterPlaylist += `#EXT-X-STREAM-INF:${attributes.join(',')}\n`;
+      masterPlaylist += `${q.quality}/playlist.m3u8\n`;
+    }
+
+    fs.writeFileSync(path.join(hlsDir, 'master.m3u8'), masterPlaylist);
   }
 
   async getVideoInfo(inputPath) {
@@ -215,8 +928,25 @@ class TranscodeService {
           return;
         }
 
-        const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-        const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+        // Skip embedded cover art, which ffprobe also reports as a video stream
+        const videoStream = metadata.streams.find(s => s.codec_type === 'video' &&
+          !(s.disposition && s.disposition.attached_pic));
+        const tags = (stream) => stream.tags || {};
+        const disposition = (stream) => stream.disposition || {};
+
+        // index is relative to the audio streams, as in -map 0:a:<index>
+        const audioTracks = metadata.streams
+          .filter(s => s.codec_type === 'audio')
+          .map((s, index) => ({
+            index,
+            codec: s.codec_name,
+            sampleRate: s.sample_rate,
+            channels: s.channels,
+            language: tags(s).language || null,
+            title: tags(s).title || null,
+            isDefault: Boolean(disposition(s).default)
+          }));
+        const audioStream = audioTracks.find(t => t.isDefault) || audioTracks[0];
 
         resolve({
           duration: metadata.format.duration,
@@ -226,13 +956,26 @@ class TranscodeService {
             codec: videoStream.codec_name,
             width: videoStream.width,
             height: videoStream.height,
-            fps: eval(videoStream.r_frame_rate)
+            fps: parseFrameRate(videoStream.r_frame_rate)
           } : null,
           audio: audioStream ? {
-            codec: audioStream.codec_name,
-            sampleRate: audioStream.sample_rate,
+            index: audioStream.index,
+            codec: audioStream.codec,
+            sampleRate: audioStream.sampleRate,
             channels: audioStream.channels
-          } : null
+          } : null,
+          audioTracks,
+          // index is relative to the subtitle streams, as in -map 0:s:<index>
+          subtitles: metadata.streams
+            .filter(s => s.codec_type === 'subtitle')
+            .map((s, index) => ({
+              index,
+              codec: s.codec_name,
+              language: tags(s).language || null,
+              title: tags(s).title || null,
+              forced: Boolean(disposition(s).forced),
+              isDefault: Boolean(disposition(s).default)
+            }))
         });
       });
     });
@@ -0,0 +1,106 @@
+const MAX_SDP_LENGTH = 100000;
+const MAX_CANDIDATE_LENGTH = 2000;
+
+// Voice and camera chat inside a room. Media goes directly between players
+// (WebRTC, every participant connected to every other); the server only
+// keeps track of who is in the call and relays the signaling messages that
+// set up those connections. A participant's state is kept on their viewer
+// as viewer.voice ({ muted, video }), so it shows in the viewer list.
+class VoiceService {
+  constructor(options = {}) {
+    this.maxParticipants = options.maxParticipants || 8;
+    this.iceServers = options.iceServers || [];
+  }
+
+  getParticipants(room) {
+    return room.viewers.filter(v => v.voice);
+  }
+
+  // Returns the others already in the call, who the new participant connects to
+  join(room, viewer, { video = false } = {}) {
+    if (viewer.voice) {
+      throw new Error('You are already in the voice chat');
+    }
+    if (this.getParticipants(room).length >= this.maxParticipants) {
+      throw new Error(`The voice chat is full (${this.maxParticipants} people)`);
+    }
+
+    const others = this.getParticipants(room);
+    viewer.voice = { muted: false, video: video === true };
+    return others;
+  }
+
+  // Returns whether the viewer was in the call
+  leave(viewer) {
+    if (!viewer.voice) return false;
+    delete viewer.voice;
+    return true;
+  }
+
+  setState(viewer, { muted, video }) {
+    if (!viewer.voice) {
+      throw new Error('You are not in the voice chat');
+    }
+    if ((muted !== undefined && typeof muted !== 'boolean') || (video !== undefined && typeof video !== 'boolean')) {
+      throw new Error('Invalid voice state');
+    }
+
+    if (muted !== undefined) viewer.voice.muted = muted;
+    if (video !== undefined) viewer.voice.video = video;
+    return viewer.voice;
+  }
+
+  // Checks a signaling message between two participants of the room and
+  // returns only the parts that are passed on
+  checkSignal(room, from, { to, description, candidate }) {
+    const target = room.viewers.find(v => v.id === to);
+    if (!from.voice || !target || !target.voice || target === from) {
+      throw new Error('That viewer is not in the voice chat');
+    }
+
+    const signal = {};
+    if (description !== undefined) {
+      if (!description || !['offer', 'answer'].includes(description.type) ||
+          typeof description.sdp !== 'string' || description.sdp.length > MAX_SDP_LENGTH) {
+        throw new Error('Invalid session description');
+      }
+      signal.description = { type: description.type, sdp: description.sdp };
+    }
+    if (candidate !== undefined) {
+      // A null candidate marks the end of the candidates
+      if (candidate !== null && (typeof candidate !== 'object' ||
+          typeof candidate.candidate !== 'string' || candidate.candidate.length > MAX_CANDIDATE_LENGTH)) {
+        throw new Error('Invalid ICE candidate');
+      }
+      signal.candidate = candidate && {
+        candidate: candidate.candidate,
+        sdpMid: typeof candidate.sdpMid === 'string' ? candidate.sdpMid : null,
+        sdpMLineIndex: Number.isInteger(candidate.sdpMLineIndex) ? candidate.sdpMLineIndex : null
+      };
+    }
+    if (!signal.description && signal.candidate === undefined) {
+      throw new Error('Empty signal');
+    }
+    return { target, signal };
+  }
+}
+
+// STUN and TURN servers from the environment: comma-separated URLs, with a
+// shared username and credential for TURN
+function parseIceServers(env) {
+  const urls = value => (value || '').split(',').map(url => url.trim()).filter(Boolean);
+  const servers = [];
+
+  const stun = env.STUN_URLS === undefined ? ['stun:stun.l.google.com:19302'] : urls(env.STUN_URLS);
+  if (stun.length) {
+    servers.push({ urls: stun });
+  }
+
+  const turn = urls(env.TURN_URLS);
+  if (turn.length) {
+    servers.push({ urls: turn, username: env.TURN_USERNAME || '', credential: env.TURN_CREDENTIAL || '' });
+  }
+  return servers;
+}
+
+module.exports = { VoiceService, parseIceServers };